@@ -1,33 +1,436 @@
 // Background Service Worker (Manifest V3)
 // Manages queue state and coordinates automation across tabs
 
-// Global state
-let state = {
-	state: "idle", // idle, running, paused, finished, error
-	prompts: [],
-	currentIndex: 0,
-	totalPrompts: 0,
-	currentPrompt: "",
-	delay: 1000,
-	tabId: null,
-	autoDownload: true,
+// The queue is a durable job persisted in chrome.storage.local. Chrome may
+// evict this service worker at any time, so every transition is saved before
+// acting on it and a chrome.alarms watchdog picks the job back up after the
+// worker, the browser or the Firefly tab restarts.
+
+import {
+	saveBatch,
+	listBatches,
+	getBatch,
+	deleteBatch,
+	saveImage,
+	listImages,
+	getImage,
+	deleteImage,
+} from "./history.js";
+
+const STORAGE_KEY = "automationState";
+const WATCHDOG_ALARM = "queue-watchdog";
+const WATCHDOG_PERIOD_MINUTES = 0.5;
+const SCHEDULE_ALARM = "schedule-check";
+
+// How far ahead the next schedule window is looked for
+const SCHEDULE_LOOKAHEAD_MINUTES = 8 * 24 * 60;
+// 00:00-23:59, or 24:00 to end a window at midnight; must match
+// CLOCK_PATTERN in popup.js
+const CLOCK_PATTERN = /^(?:(?:[01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const FIREFLY_URL_PATTERN = "https://firefly.adobe.com/*";
+const FIREFLY_HOME_URL = "https://firefly.adobe.com/generate/video";
+
+// Adobe sign-in pages a signed-out Firefly tab is redirected to
+const SIGN_IN_URL_PATTERN =
+	/^https:\/\/(auth\.services\.adobe\.com|adobeid-[\w-]+\.services\.adobe\.com|account\.adobe\.com)\//;
+
+// Desktop notifications: preferences saved by the side panel, and the
+// document that plays the sound (service workers can't play audio)
+const NOTIFICATION_SETTINGS_KEY = "notificationSettings";
+const DEFAULT_NOTIFICATION_SETTINGS = {
+	finished: true,
+	error: true,
+	credits: true,
+	signedOut: true,
+	rateLimited: true,
+	sound: false,
+};
+const NOTIFICATION_PREFIX = "promptpilot-";
+const OFFSCREEN_URL = "offscreen.html";
+
+// Webhooks: URLs and signing secret saved by the side panel. A delivery is
+// tried again after network errors, 429 and 5xx with a doubling delay
+const WEBHOOK_SETTINGS_KEY = "webhookSettings";
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_RETRY_MS = 2000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// How long a reloaded Firefly tab may take to show its prompt field
+const APP_READY_TIMEOUT_MS = 60000;
+
+// Content script protocol; must match PROTOCOL_VERSION in content.js
+const CONTENT_PROTOCOL_VERSION = 1;
+const REQUIRED_CAPABILITIES = [
+	"submitPrompt",
+	"getStatus",
+	"waitForApp",
+	"credits",
+	"referenceImage",
+	"cancel",
+];
+
+// Item statuses that mean the content script is working on the item
+const IN_FLIGHT_STATUSES = ["submitting", "generating"];
+
+// Default retry policy, overridable per job from the popup
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts: 3,
+	backoffMs: 5000, // wait before the first retry, doubled on each attempt
+	backoffFactor: 2,
+	maxBackoffMs: 300000,
 };
 
+// Error types worth retrying. A failed download is not retried automatically
+// because retrying would spend another generation on the same prompt.
+const RETRYABLE_ERRORS = [
+	"element_not_found",
+	"button_timeout",
+	"generation_timeout",
+	"connection_failed",
+	"setting_failed",
+	"reference_failed",
+	"generation_failed",
+	"unknown",
+];
+
+// Error types raised from a Firefly dialog, toast or sign-in redirect;
+// recorded in the item's alerts
+const ALERT_ERRORS = [
+	"credits_exhausted",
+	"rate_limited",
+	"signed_out",
+	"policy_rejected",
+	"generation_failed",
+];
+
+// Cool-down after Firefly reports too many requests, doubled for each rate
+// limit in a row
+const RATE_LIMIT_COOLDOWN_MS = 120000;
+const MAX_RATE_LIMIT_COOLDOWN_MS = 1800000;
+// Cool-downs in a row before the batch pauses for the user instead
+const MAX_RATE_LIMIT_STREAK = 5;
+
+// Where downloads are saved, relative to the Downloads folder
+// Tokens: {batch}, {index}, {slug}, {timestamp}, {take} (take number of the
+// prompt), {n} (file number of the item)
+const DEFAULT_FILENAME_PATTERN = "PromptPilot/{batch}/{index}-{slug}";
+
+// Downloads that start this long after an item finished still belong to it
+const DOWNLOAD_GRACE_MS = 10000;
+
+// Hosts a Firefly download comes from or is started on: the Firefly page
+// itself (blob: URLs) or Adobe's servers
+const DOWNLOAD_HOST_PATTERN = /(^|\.)adobe\.(com|io|net)$/;
+
+/**
+ * Create an empty job
+ * @returns {object} Job state
+ */
+function createJob() {
+	return {
+		state: "idle", // idle, running, paused, stopped, finished, error
+		// why a paused job paused: user, schedule, no_tabs, credits, budget, signed_out
+		pausedBy: null,
+		// { startAt, windows: [{ days, start, end }] } or null, see isScheduleOpen
+		schedule: null,
+		nextScheduleChange: null, // when the schedule next opens or closes
+		items: [],
+		currentIndex: 0,
+		totalPrompts: 0,
+		currentPrompt: "",
+		delay: 1000,
+		// Firefly tabs items are dispatched to: { tabId, title, url, itemId, state }
+		// state: ready, loading (reloading/navigating), away (left Firefly)
+		workers: [],
+		concurrency: 1, // most items in flight at once
+		reopenTabs: false, // open a new Firefly tab when a worker tab is closed
+		dismissAlerts: false, // close Firefly's error dialogs after reading them
+		mode: "auto", // auto (detect from page), video, image
+		autoDownload: true,
+		retryPolicy: { ...DEFAULT_RETRY_POLICY },
+		failureMode: "stop", // stop: halt the run, skip: collect failure and continue
+		settings: {}, // batch generation settings, overridden per prompt
+		takes: 1, // generations of each prompt that has no takes count of its own
+		batchId: null, // key of the batch in history
+		batchName: "",
+		filenamePattern: DEFAULT_FILENAME_PATTERN,
+		startedAt: null,
+		finishedAt: null, // set when the job finishes, stops or errors
+		creditCost: 0, // estimated generative credits per generation
+		creditBudget: null, // most credits the batch may spend, null for no limit
+		credits: { startBalance: null, balance: null }, // as shown by Firefly
+		cooldownUntil: null, // no dispatching before this time (rate limited)
+		rateLimitStreak: 0, // rate limits in a row, lengthens the cool-down
+	};
+}
+
+// Per-prompt settings a prompt item may carry (see prompts.js)
+const ITEM_OPTION_FIELDS = [
+	"filename",
+	"aspectRatio",
+	"resolution",
+	"duration",
+	"cameraAngle",
+	"cameraMotion",
+	"style",
+	"seed",
+	"referenceImage",
+	"tags",
+];
+
+// Item options that are Firefly generation settings (see content.js)
+const GENERATION_SETTING_FIELDS = [
+	"aspectRatio",
+	"resolution",
+	"duration",
+	"cameraAngle",
+	"cameraMotion",
+	"style",
+	"seed",
+];
+
+/**
+ * Get the generation settings of an item: batch settings, overridden by the
+ * item's own
+ * @param {object} item - Queue item
+ * @returns {object} Setting values by name
+ */
+function getItemSettings(item) {
+	const settings = {};
+	for (const field of GENERATION_SETTING_FIELDS) {
+		const value =
+			item.options[field] !== undefined
+				? item.options[field]
+				: state.settings[field];
+		if (value !== undefined && value !== "") settings[field] = value;
+	}
+	return settings;
+}
+
+/**
+ * Get the name of the reference image an item uploads: its own, or the
+ * batch's
+ * @param {object} item - Queue item
+ * @returns {string|null} Image name, or null for none
+ */
+function getItemReferenceName(item) {
+	return item.options.referenceImage || state.settings.referenceImage || null;
+}
+
+/**
+ * Load the reference image of an item from the image library
+ * @param {object} item - Queue item
+ * @returns {Promise<object|null>} { name, type, dataUrl }, or null when the
+ *   item has no reference image
+ * @throws {Error} When the image is not in the library
+ */
+async function loadReferenceImage(item) {
+	const name = getItemReferenceName(item);
+	if (!name) return null;
+
+	const image = await getImage(name);
+	if (!image) {
+		throw new Error(`Reference image "${name}" is not in the image library`);
+	}
+	return { name: image.name, type: image.type, dataUrl: image.dataUrl };
+}
+
+/**
+ * Create a queue item
+ * Status: pending, submitting, generating, downloaded, generated (auto-download off),
+ * failed, skipped (taken out of the queue from the side panel)
+ * @param {object} entry - Prompt item from the popup ({ prompt, ...settings })
+ * @param {number} index - Position in the queue
+ * @returns {object} Queue item
+ */
+function createItem(entry, index) {
+	const options = {};
+	for (const field of ITEM_OPTION_FIELDS) {
+		if (entry[field] !== undefined) options[field] = entry[field];
+	}
+
+	return {
+		id: `item-${Date.now()}-${index}`,
+		prompt: entry.prompt,
+		options: options,
+		sourceIndex: entry.sourceIndex, // row of the prompt list it came from
+		takeIndex: entry.takeIndex, // 1-based take number when a prompt has several
+		takeCount: entry.takeCount,
+		status: "pending",
+		runId: null,
+		tabId: null, // tab the item was dispatched to
+		phase: "", // submitting, generating, downloading while in flight
+		phaseStartedAt: null,
+		submittedAt: null,
+		completedAt: null,
+		generationMs: null,
+		mode: null, // mode the item was generated in
+		downloadCount: 0,
+		downloads: [], // { id, filename, path, state } of each renamed download
+		attempts: 0,
+		retryAt: null, // timestamp before which a retried item must not run
+		error: null,
+		errorType: null,
+		alerts: [], // { type, message, at } of each Firefly alert the item ran into
+	};
+}
+
+// Global state (in-memory copy of the persisted job)
+let state = createJob();
+
+// Bumped on every state broadcast, so the side panel knows when to fetch
+// the queue again
+let queueRevision = 0;
+
+// Serializes every queue mutation so watchdog ticks, content script results
+// and popup commands never interleave
+let queueTask = Promise.resolve();
+
+/**
+ * Run a queue operation after all previously scheduled ones
+ * @param {Function} fn - Async operation
+ * @returns {Promise<any>} Result of the operation
+ */
+function withQueueLock(fn) {
+	const run = queueTask.then(fn, fn);
+	queueTask = run.catch((error) => {
+		console.error("Queue operation failed:", error);
+	});
+	return run;
+}
+
+/**
+ * Load the persisted job into memory
+ */
+async function loadState() {
+	try {
+		const result = await chrome.storage.local.get(STORAGE_KEY);
+		const saved = result[STORAGE_KEY];
+		// Jobs saved before per-item status existed cannot be resumed
+		if (saved && Array.isArray(saved.items)) {
+			state = { ...createJob(), ...saved };
+
+			// Jobs saved before multi-tab support ran in a single tab
+			if (saved.tabId !== undefined && !saved.workers) {
+				const item = getInFlightItems()[0];
+				state.workers = [
+					{
+						tabId: saved.tabId,
+						title: "",
+						url: FIREFLY_HOME_URL,
+						itemId: item ? item.id : null,
+						state: "ready",
+					},
+				];
+				if (item) item.tabId = saved.tabId;
+			}
+
+			// Jobs saved before takes called them repeats
+			for (const item of state.items) {
+				if (item.repeatIndex !== undefined && item.takeIndex === undefined) {
+					item.takeIndex = item.repeatIndex;
+					item.takeCount = item.repeatCount;
+				}
+			}
+		}
+	} catch (error) {
+		console.error("Error restoring state:", error);
+	}
+}
+
+// Resolves once the persisted job is loaded; await before touching state
+let stateLoaded = false;
+const stateReady = loadState().then(() => {
+	stateLoaded = true;
+});
+
+/**
+ * Build the state summary sent to the popup
+ * @returns {object} State summary
+ */
+function summarizeState() {
+	return {
+		state: state.state,
+		currentIndex: state.currentIndex,
+		totalPrompts: state.totalPrompts,
+		completedCount: state.items.filter((item) =>
+			["downloaded", "generated", "failed", "skipped", "cancelled"].includes(
+				item.status
+			)
+		).length,
+		queueRevision: queueRevision,
+		currentPrompt: state.currentPrompt,
+		phase: (getInFlightItems()[0] || {}).phase || "",
+		pausedBy: state.pausedBy,
+		schedule: state.schedule,
+		nextScheduleChange: state.nextScheduleChange,
+		credits: {
+			balance: state.credits.balance,
+			spent: getCreditsSpent(),
+			budget: state.creditBudget,
+			cost: state.creditCost,
+		},
+		cooldownUntil: state.cooldownUntil,
+		concurrency: state.concurrency,
+		workers: state.workers.map((worker) => {
+			const item = state.items.find((item) => item.id === worker.itemId);
+			return {
+				tabId: worker.tabId,
+				title: worker.title,
+				status: item
+					? item.phase || item.status
+					: worker.state === "ready"
+					? "idle"
+					: worker.state,
+				index: item ? state.items.indexOf(item) : null,
+				prompt: item ? previewPrompt(item.prompt) + describeTake(item) : "",
+			};
+		}),
+		failedItems: state.items
+			.map((item, index) => ({ item, index }))
+			.filter(({ item }) => item.status === "failed")
+			.map(({ item, index }) => ({
+				index: index,
+				prompt: item.prompt + describeTake(item),
+				error: item.error,
+				errorType: item.errorType,
+				attempts: item.attempts,
+			})),
+	};
+}
+
+/**
+ * Keep the watchdog alarm running only while the job is running
+ */
+async function syncWatchdog() {
+	if (state.state === "running") {
+		const alarm = await chrome.alarms.get(WATCHDOG_ALARM);
+		if (!alarm) {
+			await chrome.alarms.create(WATCHDOG_ALARM, {
+				periodInMinutes: WATCHDOG_PERIOD_MINUTES,
+			});
+		}
+	} else {
+		await chrome.alarms.clear(WATCHDOG_ALARM);
+	}
+
+	// applySchedule sets the schedule alarm; it is dropped with the job
+	if (!state.schedule || !["running", "paused"].includes(state.state)) {
+		await chrome.alarms.clear(SCHEDULE_ALARM);
+	}
+}
+
 /**
  * Broadcast state update to all popup instances
  */
 async function broadcastState() {
+	queueRevision++;
 	try {
 		// Try to send to popup if it's open
 		chrome.runtime
 			.sendMessage({
 				action: "stateUpdate",
-				state: {
-					state: state.state,
-					currentIndex: state.currentIndex,
-					totalPrompts: state.totalPrompts,
-					currentPrompt: state.currentPrompt,
-				},
+				state: summarizeState(),
 			})
 			.catch(() => {
 				// Popup not open, ignore error
@@ -37,7 +440,8 @@ async function broadcastState() {
 	}
 
 	// Also save to storage for persistence
-	await chrome.storage.local.set({ automationState: state });
+	await chrome.storage.local.set({ [STORAGE_KEY]: state });
+	await syncWatchdog();
 }
 
 /**
@@ -61,7 +465,9 @@ async function sendLog(level, message) {
 }
 
 /**
- * Inject content script into tab if not already injected
+ * Inject config.js and content.js into a tab
+ * content.js replaces an outdated instance itself and leaves a current one
+ * running, so injecting never registers a second message listener
  * @param {number} tabId - Tab ID
  */
 async function injectContentScript(tabId) {
@@ -70,14 +476,16 @@ async function injectContentScript(tabId) {
 			target: { tabId: tabId },
 			files: ["config.js", "content.js"],
 		});
-		await sendLog("info", "Content script injected");
-		// Wait a bit for script to initialize
-		await new Promise((resolve) => setTimeout(resolve, 500));
 	} catch (error) {
 		console.error("Failed to inject content script:", error);
 		await sendLog("error", `Failed to inject script: ${error.message}`);
 		throw error;
 	}
+
+	if (!isContentScriptCurrent(await getContentScriptInfo(tabId))) {
+		throw new Error(`Content script did not start in tab ${tabId}`);
+	}
+	await sendLog("info", `Content script injected into tab ${tabId}`);
 }
 
 /**
@@ -104,12 +512,42 @@ async function sendToContent(tabId, message, maxRetries = 2) {
 				await sendLog("warning", `Retry ${attempt}/${maxRetries}...`);
 				await new Promise((resolve) => setTimeout(resolve, 1000));
 			} else {
-				throw error;
+				throw new Error(await describeTabError(tabId, error));
 			}
 		}
 	}
 }
 
+/**
+ * Explain why a tab did not answer, instead of Chrome's "Could not
+ * establish connection"
+ * @param {number} tabId - Tab ID
+ * @param {Error} error - Messaging error
+ * @returns {Promise<string>} Error message
+ */
+async function describeTabError(tabId, error) {
+	const tab = await chrome.tabs.get(tabId).catch(() => null);
+	if (!tab) {
+		return `Firefly tab ${tabId} was closed`;
+	}
+	if (tab.status === "loading") {
+		return `Firefly tab ${tabId} is still loading`;
+	}
+	if (!isFireflyUrl(tab.url)) {
+		return `Tab ${tabId} is no longer on Firefly`;
+	}
+	return `No response from Firefly tab ${tabId} (${error.message})`;
+}
+
+/**
+ * Check whether a URL is a Firefly page
+ * @param {string} url - URL
+ * @returns {boolean} True for firefly.adobe.com
+ */
+function isFireflyUrl(url) {
+	return typeof url === "string" && url.startsWith("https://firefly.adobe.com/");
+}
+
 /**
  * Get the currently active tab
  * @returns {Promise<number>} Active tab ID
@@ -123,245 +561,2683 @@ async function getActiveTab() {
 }
 
 /**
- * Process next prompt in queue
+ * Ask a tab's content script for its version and capabilities
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<object|null>} { version, protocol, capabilities, busy },
+ *   or null if no content script answered
  */
-async function processNextPrompt() {
-	// Check if we should continue
-	if (state.state !== "running") {
-		console.log("Processing stopped - state is", state.state);
-		return;
-	}
-
-	if (state.currentIndex >= state.totalPrompts) {
-		console.log("Queue finished");
-		await sendLog("success", "✅ All prompts completed!");
-		state.state = "finished";
-		state.currentPrompt = "";
-		await broadcastState();
-		return;
+async function getContentScriptInfo(tabId) {
+	try {
+		return (await sendToContent(tabId, { action: "hello" }, 1)) || null;
+	} catch (error) {
+		return null;
 	}
+}
 
-	// Get current prompt
-	const prompt = state.prompts[state.currentIndex];
-	const promptPreview =
-		prompt.length > 50 ? prompt.substring(0, 50) + "..." : prompt;
-	console.log(
-		`Processing prompt ${state.currentIndex + 1}/${state.totalPrompts}:`,
-		prompt
-	);
-	await sendLog(
-		"info",
-		`Processing ${state.currentIndex + 1}/${
-			state.totalPrompts
-		}: ${promptPreview}`
+/**
+ * Check whether a content script speaks this build's protocol
+ * @param {object|null} info - Handshake response
+ * @returns {boolean} True if it is the current build
+ */
+function isContentScriptCurrent(info) {
+	return (
+		!!info &&
+		info.version === chrome.runtime.getManifest().version &&
+		info.protocol === CONTENT_PROTOCOL_VERSION &&
+		REQUIRED_CAPABILITIES.every((capability) =>
+			(info.capabilities || []).includes(capability)
+		)
 	);
+}
 
-	// Set current prompt AFTER logging but BEFORE sending
-	state.currentPrompt = promptPreview;
-	await broadcastState();
-
-	try {
-		// Send prompt to content script
-		const response = await sendToContent(state.tabId, {
-			action: "submitPrompt",
-			prompt: prompt,
-			delay: state.delay,
-			autoDownload: state.autoDownload,
-		});
-
-		// Check if state is still running after async operation
-		// User might have clicked Stop while content script was processing
-		if (state.state !== "running") {
-			console.log(
-				"State changed to",
-				state.state,
-				"during processing. Stopping."
-			);
-			await sendLog("warning", "⚠️ Stopped mid-processing");
-			return;
-		}
-
-		if (response.success) {
-			console.log("Prompt submitted successfully");
-			await sendLog(
-				"success",
-				`✓ Submitted ${state.currentIndex + 1}/${state.totalPrompts}`
-			);
+/**
+ * Inject the content script unless the tab already runs the current one
+ * @param {number} tabId - Tab ID
+ */
+async function ensureContentScript(tabId) {
+	// Missing after a reload, outdated after the extension was updated
+	const info = await getContentScriptInfo(tabId);
+	if (isContentScriptCurrent(info)) return;
 
-			// Move to next prompt
-			state.currentIndex++;
-
-			// Check state again before scheduling next
-			if (
-				state.state === "running" &&
-				state.currentIndex < state.totalPrompts
-			) {
-				await broadcastState();
-				// Small delay before starting next prompt processing
-				setTimeout(() => processNextPrompt(), 100);
-			} else {
-				// Queue complete
-				state.state = "finished";
-				state.currentPrompt = "";
-				await broadcastState();
-			}
-		} else {
-			throw new Error(response.error || "Submission failed");
-		}
-	} catch (error) {
-		console.error("Error processing prompt:", error);
-		await sendLog("error", `✗ Error: ${error.message}`);
-		state.state = "error";
-		state.currentPrompt = `Error: ${error.message}`;
-		await broadcastState();
+	if (info) {
+		await sendLog(
+			"info",
+			`Replacing content script ${info.version} in tab ${tabId}`
+		);
 	}
+	await injectContentScript(tabId);
 }
 
 /**
- * Start automation
- * @param {string[]} prompts - Array of prompts to process
- * @param {number} delay - Delay in ms after each submission
- * @param {boolean} autoDownload - Auto-download videos after generation
+ * Make sure a worker's tab still exists and has the content script
+ * @param {object} worker - Worker
+ * @returns {Promise<number>} Tab ID
  */
-async function startAutomation(prompts, delay, autoDownload = true) {
-	try {
-		await sendLog("info", "🚀 Starting automation...");
-
-		// Get active tab
-		const tabId = await getActiveTab();
-		await sendLog("info", `Tab ID: ${tabId}`);
+async function ensureWorkerTab(worker) {
+	const tab = await chrome.tabs.get(worker.tabId).catch(() => null);
+	if (!tab) {
+		throw new Error(`Tab ${worker.tabId} is closed`);
+	}
 
-		// Always inject content script to ensure it's loaded
-		await sendLog("info", "Injecting content script...");
-		await injectContentScript(tabId);
+	await ensureContentScript(tab.id);
+	return tab.id;
+}
 
-		// Initialize state
-		state = {
-			state: "running",
-			prompts: prompts,
-			currentIndex: 0,
-			totalPrompts: prompts.length,
-			currentPrompt: "",
-			delay: delay,
-			tabId: tabId,
-			autoDownload: autoDownload,
+/**
+ * Register a Firefly tab as a worker
+ * @param {chrome.tabs.Tab} tab - Tab
+ * @returns {object} Worker (the existing one if already registered)
+ */
+function addWorker(tab) {
+	let worker = state.workers.find((worker) => worker.tabId === tab.id);
+	if (!worker) {
+		worker = {
+			tabId: tab.id,
+			title: tab.title || "",
+			url: tab.url || tab.pendingUrl || FIREFLY_HOME_URL,
+			itemId: null,
+			state: tab.status === "loading" ? "loading" : "ready",
 		};
+		state.workers.push(worker);
+	}
+	return worker;
+}
 
-		await broadcastState();
-		await sendLog(
-			"success",
-			`Loaded ${prompts.length} prompts, delay: ${delay}ms, auto-download: ${
-				autoDownload ? "ON" : "OFF"
-			}`
-		);
+/**
+ * Drop a tab from the pool; its in-flight item goes back in the queue
+ * @param {number} tabId - Tab ID
+ * @param {string} reason - Log message after "Tab <id>"
+ */
+async function removeWorker(tabId, reason) {
+	const worker = state.workers.find((worker) => worker.tabId === tabId);
+	if (!worker) return;
 
-		// Start processing
-		processNextPrompt();
+	state.workers = state.workers.filter((entry) => entry !== worker);
+	await sendLog("warning", `⚠️ Tab ${tabId} ${reason}`);
 
-		return { success: true };
-	} catch (error) {
-		console.error("Start automation error:", error);
-		await sendLog("error", `❌ Failed to start: ${error.message}`);
-		state.state = "error";
-		state.currentPrompt = error.message;
-		await broadcastState();
-		return { success: false, error: error.message };
+	const item = getInFlightItems().find((item) => item.id === worker.itemId);
+	if (item) {
+		await requeueInterruptedItem(item, "lost its tab");
 	}
+	await broadcastState();
 }
 
 /**
- * Pause automation
+ * Add the active tab to the pool from the side panel
+ * @returns {Promise<object>} Response object
  */
-async function pauseAutomation() {
+async function addActiveTabWorker() {
+	const tab = await chrome.tabs.get(await getActiveTab());
+	if (!tab.url || !tab.url.startsWith("https://firefly.adobe.com/")) {
+		return { success: false, error: "Open Firefly in this tab first" };
+	}
+	if (state.workers.some((worker) => worker.tabId === tab.id)) {
+		return { success: false, error: "This tab is already in the pool" };
+	}
+
+	addWorker(tab);
+	await sendLog("info", `➕ Tab ${tab.id} added to the pool`);
+	await broadcastState();
 	if (state.state === "running") {
-		state.state = "paused";
-		await sendLog("warning", "⏸️ Automation paused");
-		await broadcastState();
-		return { success: true };
+		scheduleNext(0);
 	}
-	return { success: false, error: "Not running" };
+	return { success: true };
 }
 
 /**
- * Resume automation
+ * Free the worker an item was dispatched to
+ * @param {object} item - Queue item
  */
-async function resumeAutomation() {
-	if (state.state === "paused") {
-		state.state = "running";
-		await sendLog("info", "▶️ Automation resumed");
-		await broadcastState();
+function releaseWorker(item) {
+	const worker = state.workers.find((worker) => worker.itemId === item.id);
+	if (worker) worker.itemId = null;
+}
 
-		// Continue processing
-		processNextPrompt();
+/**
+ * Find a registered tab that is free to take an item
+ * Closed tabs are dropped; when none is left (e.g. a browser restart changed
+ * every tab ID) an open Firefly tab is adopted
+ * @returns {Promise<object|null>} Worker, or null if all are busy or none is open
+ */
+async function findIdleWorker() {
+	for (const worker of [...state.workers]) {
+		// Reloading tabs come back through handleTabUpdated
+		if (worker.itemId || (worker.state || "ready") !== "ready") continue;
 
-		return { success: true };
+		const tab = await chrome.tabs.get(worker.tabId).catch(() => null);
+		if (tab) return worker;
+		await removeWorker(worker.tabId, "was closed, removed from the pool");
 	}
-	return { success: false, error: "Not paused" };
+
+	if (state.workers.length === 0) {
+		const tabs = await chrome.tabs.query({ url: FIREFLY_URL_PATTERN });
+		if (tabs.length > 0) {
+			await sendLog("info", `Switched to Firefly tab ${tabs[0].id}`);
+			return addWorker(tabs[0]);
+		}
+	}
+	return null;
 }
 
 /**
- * Stop automation
+ * Follow a worker tab through reloads and navigation
+ * A reloading tab takes no new items; once it has loaded, the content
+ * script is injected again and the tab rejoins the pool when Firefly is
+ * ready. Its in-flight item is picked up again or re-queued.
+ * @param {number} tabId - Tab ID
+ * @param {object} changeInfo - chrome.tabs.onUpdated change info
+ * @param {chrome.tabs.Tab} tab - Tab
  */
-async function stopAutomation() {
-	if (state.state === "running" || state.state === "paused") {
-		const stoppedAt = `${state.currentIndex}/${state.totalPrompts}`;
-		await sendLog("warning", `⏹️ Automation stopped at ${stoppedAt}`);
-		state.state = "idle";
-		state.currentPrompt = "";
+async function handleTabUpdated(tabId, changeInfo, tab) {
+	const worker = state.workers.find((worker) => worker.tabId === tabId);
+	if (!worker) return;
+
+	if (changeInfo.status === "loading" && worker.state !== "loading") {
+		worker.state = "loading";
 		await broadcastState();
-		return { success: true };
+	} else if (changeInfo.status === "complete") {
+		// Waiting for Firefly happens outside the queue lock
+		restoreWorkerTab(tabId, tab.url);
 	}
-	return { success: false, error: "Not running" };
 }
 
 /**
- * Get current state
+ * Bring a worker tab back after it finished loading
+ * @param {number} tabId - Tab ID
+ * @param {string} url - URL the tab loaded
  */
-function getState() {
-	return {
-		state: {
-			state: state.state,
-			currentIndex: state.currentIndex,
-			totalPrompts: state.totalPrompts,
-			currentPrompt: state.currentPrompt,
-		},
-	};
-}
-
-// Message handler for popup and content script communication
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-	console.log("Background received message:", message.action);
-
-	// Handle async operations
-	(async () => {
+async function restoreWorkerTab(tabId, url) {
+	let error = null;
+	const signedOut = SIGN_IN_URL_PATTERN.test(url || "");
+	if (signedOut) {
+		error = "was sent to Adobe sign-in";
+	} else if (!isFireflyUrl(url)) {
+		error = "left Firefly, open Firefly in it again to continue";
+	} else {
 		try {
-			let response;
-
-			switch (message.action) {
-				case "start":
-					response = await startAutomation(
-						message.prompts,
-						message.delay,
-						message.autoDownload
-					);
-					break;
+			await ensureContentScript(tabId);
+			const { selectorProfiles } = await chrome.storage.local.get(
+				"selectorProfiles"
+			);
+			const response = await sendToContent(
+				tabId,
+				{
+					action: "waitForApp",
+					timeout: APP_READY_TIMEOUT_MS,
+					selectorProfiles: selectorProfiles,
+				},
+				1
+			);
+			if (!response || !response.ready) {
+				error = (response && response.error) || "Firefly did not finish loading";
+			}
+		} catch (sendError) {
+			error = sendError.message;
+		}
+	}
 
-				case "pause":
-					response = await pauseAutomation();
-					break;
+	await withQueueLock(async () => {
+		const worker = state.workers.find((worker) => worker.tabId === tabId);
+		if (!worker) return;
 
-				case "resume":
-					response = await resumeAutomation();
-					break;
+		const item = getInFlightItems().find((item) => item.id === worker.itemId);
+		if (error) {
+			worker.state = "away";
+			await sendLog("warning", `⚠️ Tab ${tabId} ${error}`);
+			if (signedOut && item) {
+				recordAlert(item, "signed_out", `Tab ${tabId} ${error}`);
+			}
+			// This tab can't finish the item, another one will
+			if (item) await requeueInterruptedItem(item, `lost tab ${tabId}`);
+			if (signedOut) await pauseSignedOut(`tab ${tabId} ${error}`);
+			await broadcastState();
+			return;
+		}
+
+		worker.state = "ready";
+		worker.url = url;
+		await sendLog("info", `🔄 Tab ${tabId} loaded, Firefly is ready`);
+		if (state.state === "paused" && state.pausedBy === "signed_out") {
+			// Back on Firefly after signing in
+			state.state = "running";
+			state.pausedBy = null;
+			await sendLog("info", "🔑 Signed in again, resuming");
+		}
+		if (item) {
+			await probeInFlightItem(item);
+		}
+		await broadcastState();
+		if (state.state === "running") {
+			scheduleNext(0);
+		}
+	});
+}
+
+/**
+ * Open a new Firefly tab in place of a closed worker tab
+ * @param {object} worker - Worker of the closed tab
+ */
+async function reopenWorkerTab(worker) {
+	try {
+		const tab = await chrome.tabs.create({
+			url: isFireflyUrl(worker.url) ? worker.url : FIREFLY_HOME_URL,
+			active: false,
+		});
+		addWorker(tab).state = "loading";
+		await sendLog("info", `🔄 Reopened Firefly in tab ${tab.id}`);
+		await broadcastState();
+	} catch (error) {
+		await sendLog("error", `❌ Could not reopen Firefly: ${error.message}`);
+	}
+}
+
+/**
+ * Get the items the content scripts are currently working on
+ * @returns {object[]} In-flight items
+ */
+function getInFlightItems() {
+	return state.items.filter((item) => IN_FLIGHT_STATUSES.includes(item.status));
+}
+
+/**
+ * Find the next pending item that may run now, starting from the current index
+ * With one item at a time, a retry that is still backing off holds the queue
+ * so prompts stay in order; with several tabs, ready items go ahead of it
+ * @returns {{ index: number, waitMs: number }} Item index (-1 if none is
+ *   ready) and the time until a backing-off item is ready (0 if none)
+ */
+function findNextReadyIndex() {
+	const now = Date.now();
+	const count = state.items.length;
+	let waitMs = 0;
+
+	for (let offset = 0; offset < count; offset++) {
+		const i = (state.currentIndex + offset) % count;
+		const item = state.items[i];
+		if (item.status !== "pending") continue;
+		if (!item.retryAt || item.retryAt <= now) {
+			return { index: i, waitMs: 0 };
+		}
+
+		const wait = item.retryAt - now;
+		if (state.concurrency <= 1) {
+			return { index: -1, waitMs: wait };
+		}
+		waitMs = waitMs ? Math.min(waitMs, wait) : wait;
+	}
+	return { index: -1, waitMs: waitMs };
+}
+
+/**
+ * Shorten a prompt for logs and status display
+ * @param {string} prompt - Prompt text
+ * @returns {string} Preview of at most 50 characters
+ */
+function previewPrompt(prompt) {
+	return prompt.length > 50 ? prompt.substring(0, 50) + "..." : prompt;
+}
+
+/**
+ * Describe which take of its prompt an item is
+ * @param {object} item - Queue item
+ * @returns {string} e.g. " (take 2/3)", empty for a single take
+ */
+function describeTake(item) {
+	return item.takeCount ? ` (take ${item.takeIndex}/${item.takeCount})` : "";
+}
+
+/**
+ * Schedule the next queue step
+ * If the worker is evicted before the timer fires, the watchdog alarm
+ * continues the queue instead
+ * @param {number} delayMs - Delay before processing
+ */
+function scheduleNext(delayMs = 100) {
+	setTimeout(() => withQueueLock(dispatchPending), delayMs);
+}
+
+/**
+ * Dispatch the next pending item to a free tab
+ * Returns right after dispatching; results arrive later as "itemResult"
+ * messages. Schedules itself again until the concurrency cap is reached or
+ * no tab is free.
+ */
+async function dispatchPending() {
+	// Check if we should continue
+	if (state.state !== "running") {
+		console.log("Processing stopped - state is", state.state);
+		return;
+	}
+
+	const inFlight = getInFlightItems();
+	const { index, waitMs } = findNextReadyIndex();
+
+	if (index === -1) {
+		if (waitMs > 0) {
+			// Retried item still backing off
+			scheduleNext(waitMs);
+			return;
+		}
+		if (inFlight.length > 0) {
+			// Last items still generating
+			return;
+		}
+
+		console.log("Queue finished");
+		const failedCount = summarizeState().failedItems.length;
+		if (failedCount > 0) {
+			await sendLog(
+				"warning",
+				`✅ Queue finished, ${failedCount} prompt(s) failed`
+			);
+		} else {
+			await sendLog("success", "✅ All prompts completed!");
+		}
+		state.state = "finished";
+		state.finishedAt = new Date().toISOString();
+		state.currentPrompt = "";
+		await broadcastState();
+		await archiveBatch();
+		const done = summarizeState().completedCount - failedCount;
+		await notify(
+			"finished",
+			"Batch finished",
+			`${done}/${state.totalPrompts} prompts done${
+				failedCount > 0 ? `, ${failedCount} failed` : ""
+			}`
+		);
+		reportBatchFinished();
+		return;
+	}
+
+	if (inFlight.length >= state.concurrency) {
+		return;
+	}
+
+	// Firefly asked to slow down
+	if (state.cooldownUntil && state.cooldownUntil > Date.now()) {
+		scheduleNext(state.cooldownUntil - Date.now());
+		return;
+	}
+
+	// Don't start a generation the budget can't pay for
+	if (
+		state.creditBudget !== null &&
+		getCreditsSpent() + (inFlight.length + 1) * state.creditCost >
+			state.creditBudget
+	) {
+		if (inFlight.length === 0) {
+			state.state = "paused";
+			state.pausedBy = "budget";
+			await sendLog(
+				"warning",
+				`💳 Credit budget of ${state.creditBudget} reached (≈${getCreditsSpent()} spent), pausing`
+			);
+			await broadcastState();
+		}
+		return;
+	}
+
+	// Missed schedule alarm; in-flight items above still finish
+	if (state.schedule && !isScheduleOpen(state.schedule)) {
+		await applySchedule();
+		return;
+	}
+
+	const worker = await findIdleWorker();
+	if (!worker) {
+		if (state.workers.length === 0) {
+			// Keep the job so it can continue once a Firefly tab is available
+			await sendLog("error", "❌ No Firefly tab open, pausing queue");
+			state.state = "paused";
+			state.pausedBy = "no_tabs";
+			await broadcastState();
+		}
+		// Otherwise every tab is busy; the next result frees one
+		return;
+	}
+
+	await dispatchItem(state.items[index], index, worker);
+
+	// Fill the remaining free tabs
+	if (state.state === "running") {
+		scheduleNext(0);
+	}
+}
+
+/**
+ * Send one item to a worker's tab
+ * @param {object} item - Pending queue item
+ * @param {number} index - Item index
+ * @param {object} worker - Free worker
+ */
+async function dispatchItem(item, index, worker) {
+	const promptPreview = previewPrompt(item.prompt);
+	const tab = state.workers.length > 1 ? ` [tab ${worker.tabId}]` : "";
+	console.log(
+		`Processing prompt ${index + 1}/${state.totalPrompts}:`,
+		item.prompt
+	);
+	await sendLog(
+		"info",
+		`Processing ${index + 1}/${state.totalPrompts}${describeTake(
+			item
+		)}${tab}: ${promptPreview}`
+	);
+
+	try {
+		await ensureWorkerTab(worker);
+	} catch (error) {
+		// The item stays pending for another tab
+		const tab = await chrome.tabs.get(worker.tabId).catch(() => null);
+		if (!tab) {
+			await removeWorker(
+				worker.tabId,
+				`is unavailable (${error.message}), removed from the pool`
+			);
+		} else {
+			// handleTabUpdated brings the tab back once it has loaded Firefly
+			worker.state = tab.status === "loading" ? "loading" : "away";
+			await sendLog("warning", `⚠️ Tab ${worker.tabId}: ${error.message}`);
+			await broadcastState();
+		}
+		return;
+	}
+
+	// Persist the dispatch BEFORE sending, so a restarted worker knows the
+	// content script may already be working on this item
+	state.currentIndex = index;
+	state.currentPrompt = promptPreview;
+	item.status = "submitting";
+	item.runId = `${item.id}-${Date.now()}`;
+	item.tabId = worker.tabId;
+	item.phase = "submitting";
+	item.phaseStartedAt = Date.now();
+	item.submittedAt = new Date().toISOString();
+	item.attempts += 1;
+	item.retryAt = null;
+	item.error = null;
+	item.errorType = null;
+	worker.itemId = item.id;
+	await broadcastState();
+
+	try {
+		// Custom selector profiles saved from the side panel, if any
+		const { selectorProfiles } = await chrome.storage.local.get(
+			"selectorProfiles"
+		);
+
+		// A missing image fails the prompt; retrying would not bring it back
+		let referenceImage;
+		try {
+			referenceImage = await loadReferenceImage(item);
+		} catch (error) {
+			await handleItemResult(item.runId, {
+				success: false,
+				error: error.message,
+				errorType: "reference_missing",
+			});
+			return;
+		}
+
+		// Send prompt to content script
+		const response = await sendToContent(worker.tabId, {
+			action: "submitPrompt",
+			runId: item.runId,
+			item: { id: item.id, prompt: item.prompt, ...item.options },
+			delay: state.delay,
+			mode: state.mode,
+			autoDownload: state.autoDownload,
+			dismissAlerts: state.dismissAlerts,
+			settings: getItemSettings(item),
+			referenceImage: referenceImage,
+			selectorProfiles: selectorProfiles,
+		});
+
+		if (!response || !response.accepted) {
+			await handleItemResult(item.runId, {
+				success: false,
+				error:
+					(response && response.error) || "Content script rejected prompt",
+				errorType: (response && response.errorType) || "connection_failed",
+			});
+		}
+	} catch (error) {
+		// A reload during the hand-off is not the prompt's fault
+		const tab = await chrome.tabs.get(worker.tabId).catch(() => null);
+		if (tab && tab.status === "loading") {
+			worker.state = "loading";
+			await requeueInterruptedItem(item, `was interrupted by a reload of tab ${tab.id}`);
+			return;
+		}
+		await handleItemResult(item.runId, {
+			success: false,
+			error: error.message,
+			errorType: "connection_failed",
+		});
+	}
+}
+
+/**
+ * Record the outcome of a dispatched item and move the queue forward
+ * Results for runs that are no longer in flight are ignored
+ * @param {string} runId - Run ID the item was dispatched with
+ * @param {object} result - Result from content script
+ */
+async function handleItemResult(runId, result) {
+	const index = state.items.findIndex((item) => item.runId === runId);
+	const item = state.items[index];
+	if (!item || !IN_FLIGHT_STATUSES.includes(item.status)) {
+		console.log("Ignoring stale result for run", runId);
+		return;
+	}
+	if (result.errorType === "cancelled") {
+		await requeueInterruptedItem(item, "was cancelled");
+		return;
+	}
+
+	item.completedAt = new Date().toISOString();
+	item.phase = "";
+	releaseWorker(item);
+	if (typeof result.creditBalance === "number") {
+		state.credits.balance = result.creditBalance;
+	}
+
+	if (result.success) {
+		console.log("Prompt submitted successfully");
+		state.rateLimitStreak = 0;
+		item.status = result.downloaded ? "downloaded" : "generated";
+		item.generationMs = result.generationMs;
+		item.mode = result.mode;
+		item.downloadCount = result.downloadCount || 0;
+		const variants =
+			item.downloadCount > 1 ? `, ${item.downloadCount} files` : "";
+		await sendLog(
+			"success",
+			`✓ Generated ${index + 1}/${state.totalPrompts}${describeTake(item)} (${
+				item.mode
+			}) in ${formatDuration(result.generationMs)}${variants}`
+		);
+
+		reportItemCompleted(item, index);
+
+		// Move to next prompt, unless the queue editor moved on already
+		if (state.currentIndex === index) state.currentIndex = index + 1;
+		if (state.state === "running") {
+			await broadcastState();
+			// Small delay before starting next prompt processing
+			scheduleNext();
+		} else {
+			state.currentPrompt = "";
+			await broadcastState();
+		}
+	} else {
+		console.error("Error processing prompt:", result.error);
+		await handleItemFailure(item, index, result);
+	}
+}
+
+/**
+ * Apply the retry policy to a failed item
+ * Retryable errors are queued again with exponential backoff; once attempts
+ * are exhausted the item lands in the failed bucket and the run either stops
+ * or, in skip mode, continues with the next prompt
+ * @param {object} item - Failed queue item
+ * @param {number} index - Item index
+ * @param {object} result - Result from content script
+ */
+async function handleItemFailure(item, index, result) {
+	const policy = state.retryPolicy;
+	item.error = result.error || "Submission failed";
+	item.errorType = result.errorType || "unknown";
+	item.runId = null;
+	if (ALERT_ERRORS.includes(item.errorType)) {
+		recordAlert(item, item.errorType, item.error);
+	}
+
+	if (["credits_exhausted", "rate_limited", "signed_out"].includes(item.errorType)) {
+		await handleAccountAlert(item, index);
+		return;
+	}
+
+	if (
+		RETRYABLE_ERRORS.includes(item.errorType) &&
+		item.attempts < policy.maxAttempts
+	) {
+		const backoff = Math.min(
+			policy.backoffMs * Math.pow(policy.backoffFactor, item.attempts - 1),
+			policy.maxBackoffMs
+		);
+		item.status = "pending";
+		item.retryAt = Date.now() + backoff;
+		await sendLog(
+			"warning",
+			`↻ ${item.errorType} on ${index + 1}/${state.totalPrompts}, retry ${
+				item.attempts
+			}/${policy.maxAttempts - 1} in ${formatDuration(backoff)}`
+		);
+
+		// Stay on this item so the retry happens before moving on
+		state.currentIndex = index;
+		await broadcastState();
+		if (state.state === "running") {
+			scheduleNext();
+		}
+		return;
+	}
+
+	item.status = "failed";
+	await sendLog(
+		"error",
+		`✗ Error (${item.errorType}) after ${item.attempts} attempt(s): ${item.error}`
+	);
+	const payload = describeItemForWebhook(item, index);
+	Object.assign(payload.item, {
+		error: item.error,
+		errorType: item.errorType,
+		attempts: item.attempts,
+	});
+	emitWebhook("item.failed", payload);
+
+	if (state.failureMode === "skip") {
+		if (state.currentIndex === index) state.currentIndex = index + 1;
+		await broadcastState();
+		if (state.state === "running") {
+			scheduleNext();
+		}
+		return;
+	}
+
+	state.state = "error";
+	// Prompts on other tabs must not submit or report after the batch ended
+	await cancelInFlightItems(false);
+	state.finishedAt = new Date().toISOString();
+	state.currentPrompt = `Error: ${item.error}`;
+	await broadcastState();
+	await archiveBatch();
+	await notify(
+		"error",
+		"Batch stopped on an error",
+		`Prompt ${index + 1}: ${item.error}`
+	);
+	reportBatchFinished();
+}
+
+/**
+ * React to Firefly saying the account is out of credits, rate limited or
+ * signed out
+ * None is the prompt's fault, so the attempt doesn't count: the item goes
+ * back to the queue and the batch pauses (credits, sign-in) or cools down
+ * (rate limit)
+ * @param {object} item - Failed queue item
+ * @param {number} index - Item index
+ */
+async function handleAccountAlert(item, index) {
+	item.status = "pending";
+	item.attempts = Math.max(0, item.attempts - 1);
+	state.currentIndex = Math.min(state.currentIndex, index);
+
+	if (item.errorType === "credits_exhausted") {
+		if (state.state === "running") {
+			state.state = "paused";
+			state.pausedBy = "credits";
+			await sendLog(
+				"error",
+				`💳 Out of generative credits (${item.error}), pausing. Resume once credits are added`
+			);
+			await notify(
+				"credits",
+				"Out of generative credits",
+				"Batch paused. Resume once credits are added"
+			);
+		}
+		await broadcastState();
+		return;
+	}
+
+	if (item.errorType === "signed_out") {
+		await pauseSignedOut(item.error);
+		await broadcastState();
+		return;
+	}
+
+	// Other tabs hitting the same rate limit don't lengthen the cool-down
+	const coolingDown = state.cooldownUntil && state.cooldownUntil > Date.now();
+	if (!coolingDown && state.rateLimitStreak >= MAX_RATE_LIMIT_STREAK) {
+		// Still limited after every cool-down (or a banner that never goes
+		// away); waiting longer won't help
+		if (state.state === "running") {
+			state.state = "paused";
+			state.pausedBy = "rate_limit";
+			state.cooldownUntil = null;
+			await sendLog(
+				"error",
+				`⏳ Still rate limited after ${state.rateLimitStreak} cool-downs (${item.error}), pausing. Resume to try again`
+			);
+			await notify(
+				"rateLimited",
+				"Rate limited by Firefly",
+				`Batch paused after ${state.rateLimitStreak} cool-downs. Resume to try again`
+			);
+		}
+		await broadcastState();
+		return;
+	}
+	if (!coolingDown) {
+		state.rateLimitStreak += 1;
+		const cooldown = Math.min(
+			RATE_LIMIT_COOLDOWN_MS * Math.pow(2, state.rateLimitStreak - 1),
+			MAX_RATE_LIMIT_COOLDOWN_MS
+		);
+		state.cooldownUntil = Date.now() + cooldown;
+		await sendLog(
+			"warning",
+			`⏳ Firefly is rate limiting (${item.error}), cooling down for ${formatDuration(
+				cooldown
+			)}`
+		);
+	}
+	await broadcastState();
+	if (state.state === "running") {
+		scheduleNext(state.cooldownUntil - Date.now());
+	}
+}
+
+/**
+ * Remember a Firefly alert on the item it interrupted
+ * @param {object} item - Queue item
+ * @param {string} type - Alert type (see ALERT_ERRORS)
+ * @param {string} message - Alert text
+ */
+function recordAlert(item, type, message) {
+	item.alerts = [
+		...(item.alerts || []),
+		{ type: type, message: message, at: new Date().toISOString() },
+	];
+}
+
+/**
+ * Pause the batch until the user signs in to Adobe again
+ * @param {string} reason - What showed the sign-out, for the log
+ */
+async function pauseSignedOut(reason) {
+	if (state.state !== "running") return;
+
+	state.state = "paused";
+	state.pausedBy = "signed_out";
+	await sendLog(
+		"error",
+		`🔑 Signed out of Adobe (${reason}), pausing. Sign in again to continue`
+	);
+	await notify(
+		"signedOut",
+		"Signed out of Adobe",
+		"Batch paused. Sign in again to continue"
+	);
+}
+
+/**
+ * Show a desktop notification for a batch event, unless the side panel
+ * turned that event off, and play the sound if it is on
+ * @param {string} event - finished, error, credits, signedOut or rateLimited
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ */
+async function notify(event, title, message) {
+	try {
+		const stored = await chrome.storage.local.get(NOTIFICATION_SETTINGS_KEY);
+		const settings = {
+			...DEFAULT_NOTIFICATION_SETTINGS,
+			...stored[NOTIFICATION_SETTINGS_KEY],
+		};
+		if (!settings[event]) return;
+
+		// One notification per event; a newer one replaces it
+		await chrome.notifications.create(`${NOTIFICATION_PREFIX}${event}`, {
+			type: "basic",
+			iconUrl: "icons/icon128.png",
+			title: title,
+			message: state.batchName ? `${state.batchName}: ${message}` : message,
+			priority: 2,
+		});
+		if (settings.sound) {
+			await playSound(event === "finished" ? "success" : "alert");
+		}
+	} catch (error) {
+		console.log("Could not notify:", error.message);
+	}
+}
+
+/**
+ * Play a notification sound in the offscreen document
+ * Chrome closes the document again once it has been silent for a while
+ * @param {string} sound - success or alert
+ */
+async function playSound(sound) {
+	const contexts = await chrome.runtime.getContexts({
+		contextTypes: ["OFFSCREEN_DOCUMENT"],
+		documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+	});
+	if (contexts.length === 0) {
+		await chrome.offscreen.createDocument({
+			url: OFFSCREEN_URL,
+			reasons: ["AUDIO_PLAYBACK"],
+			justification: "Notification sound for batch events",
+		});
+	}
+	// Not awaited: the side panel also receives it and never answers
+	chrome.runtime
+		.sendMessage({ action: "playSound", target: "offscreen", sound: sound })
+		.catch(() => {});
+}
+
+/**
+ * Bring up the Firefly tab the batch runs in, or any Firefly tab
+ */
+async function focusFireflyTab() {
+	await stateReady;
+	let tab = null;
+	for (const worker of state.workers) {
+		tab = await chrome.tabs.get(worker.tabId).catch(() => null);
+		if (tab) break;
+	}
+	if (!tab) {
+		[tab] = await chrome.tabs.query({ url: FIREFLY_URL_PATTERN });
+	}
+	if (!tab) {
+		await chrome.tabs.create({ url: FIREFLY_HOME_URL });
+		return;
+	}
+	await chrome.tabs.update(tab.id, { active: true });
+	await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Sign a webhook body with HMAC-SHA256
+ * @param {string} secret - Signing secret
+ * @param {string} body - Request body
+ * @returns {Promise<string>} Hex digest
+ */
+async function signWebhookBody(secret, body) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey(
+		"raw",
+		encoder.encode(secret),
+		{ name: "HMAC", hash: "SHA-256" },
+		false,
+		["sign"]
+	);
+	const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(body));
+	return Array.from(new Uint8Array(signature), (byte) =>
+		byte.toString(16).padStart(2, "0")
+	).join("");
+}
+
+/**
+ * POST a webhook body to one URL
+ * @param {string} url - Webhook URL
+ * @param {string} body - JSON body
+ * @param {object} headers - Request headers
+ * @returns {Promise<object>} { url, ok, status, error } of the last attempt
+ */
+async function deliverWebhook(url, body, headers) {
+	let outcome = null;
+	for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+		try {
+			const response = await fetch(url, {
+				method: "POST",
+				headers: headers,
+				body: body,
+				signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+			});
+			if (response.ok) {
+				return { url: url, ok: true, status: response.status };
+			}
+			outcome = {
+				url: url,
+				ok: false,
+				status: response.status,
+				error: `HTTP ${response.status}`,
+			};
+			// The receiver turned it down; sending it again won't help
+			if (response.status < 500 && response.status !== 429) return outcome;
+		} catch (error) {
+			outcome = { url: url, ok: false, status: null, error: error.message };
+		}
+
+		if (attempt < WEBHOOK_ATTEMPTS) {
+			await new Promise((resolve) =>
+				setTimeout(resolve, WEBHOOK_RETRY_MS * Math.pow(2, attempt - 1))
+			);
+		}
+	}
+	return outcome;
+}
+
+/**
+ * Send an event to every webhook URL saved in the side panel
+ * With a secret, the X-PromptPilot-Signature header carries the
+ * HMAC-SHA256 of the body as "sha256=<hex>"
+ * @param {string} event - item.submitted, item.completed, item.failed,
+ *   batch.finished or test
+ * @param {object} data - Event fields
+ * @returns {Promise<object[]>} Delivery outcome per URL
+ */
+async function sendWebhook(event, data) {
+	const stored = await chrome.storage.local.get(WEBHOOK_SETTINGS_KEY);
+	const settings = stored[WEBHOOK_SETTINGS_KEY] || {};
+	const urls = settings.urls || [];
+	if (urls.length === 0) return [];
+
+	const deliveryId = crypto.randomUUID();
+	const body = JSON.stringify({
+		event: event,
+		deliveryId: deliveryId,
+		timestamp: new Date().toISOString(),
+		...data,
+	});
+	const headers = {
+		"Content-Type": "application/json",
+		"X-PromptPilot-Event": event,
+		"X-PromptPilot-Delivery": deliveryId,
+	};
+	if (settings.secret) {
+		headers["X-PromptPilot-Signature"] = `sha256=${await signWebhookBody(
+			settings.secret,
+			body
+		)}`;
+	}
+
+	const outcomes = await Promise.all(
+		urls.map((url) => deliverWebhook(url, body, headers))
+	);
+	for (const outcome of outcomes.filter((outcome) => !outcome.ok)) {
+		await sendLog(
+			"warning",
+			`⚠️ Webhook ${event} to ${outcome.url} failed: ${outcome.error}`
+		);
+	}
+	return outcomes;
+}
+
+/**
+ * Send a webhook event without holding up the queue
+ * Retries run on after the caller returns, so Chrome evicting the service
+ * worker meanwhile drops them
+ * @param {string} event - Event name (see sendWebhook)
+ * @param {object} data - Event fields
+ */
+function emitWebhook(event, data) {
+	sendWebhook(event, data).catch((error) =>
+		console.log(`Webhook ${event} error:`, error.message)
+	);
+}
+
+/**
+ * Describe a queue item for webhook events
+ * @param {object} item - Queue item
+ * @param {number} index - Item index
+ * @returns {object} { batchId, batchName, item }
+ */
+function describeItemForWebhook(item, index) {
+	return {
+		batchId: state.batchId,
+		batchName: state.batchName,
+		item: {
+			id: item.id,
+			number: index + 1,
+			prompt: item.prompt,
+			takeIndex: item.takeIndex || null,
+			takeCount: item.takeCount || null,
+			status: item.status,
+			tabId: item.tabId,
+		},
+	};
+}
+
+/**
+ * Send item.completed once the item's downloads are saved
+ * Downloads still in progress send it from handleDownloadChanged
+ * @param {object} item - Generated or downloaded queue item
+ * @param {number} index - Item index
+ */
+function reportItemCompleted(item, index) {
+	const downloads = item.downloads || [];
+	if (
+		item.completedReported ||
+		downloads.some((entry) => entry.state === "in_progress")
+	) {
+		return;
+	}
+	item.completedReported = true;
+
+	const payload = describeItemForWebhook(item, index);
+	Object.assign(payload.item, {
+		mode: item.mode,
+		generationMs: item.generationMs,
+		files: downloads
+			.filter((entry) => entry.state === "complete")
+			.map((entry) => ({ filename: entry.filename, path: entry.path })),
+	});
+	emitWebhook("item.completed", payload);
+}
+
+/**
+ * Send batch.finished for a batch that finished, stopped or failed
+ */
+function reportBatchFinished() {
+	const count = (statuses) =>
+		state.items.filter((item) => statuses.includes(item.status)).length;
+	emitWebhook("batch.finished", {
+		batchId: state.batchId,
+		batchName: state.batchName,
+		state: state.state,
+		totalPrompts: state.totalPrompts,
+		doneCount: count(["downloaded", "generated"]),
+		failedCount: count(["failed"]),
+		skippedCount: count(["skipped"]),
+		cancelledCount: count(["cancelled"]),
+		finishedAt: state.finishedAt,
+	});
+}
+
+/**
+ * Send a test event to the saved webhook URLs
+ * @returns {Promise<object>} Response object
+ */
+async function testWebhook() {
+	const outcomes = await sendWebhook("test", {
+		batchId: state.batchId,
+		batchName: state.batchName,
+	});
+	if (outcomes.length === 0) {
+		return { success: false, error: "No webhook URLs saved" };
+	}
+
+	const failed = outcomes.filter((outcome) => !outcome.ok);
+	if (failed.length > 0) {
+		return {
+			success: false,
+			error: failed.map((outcome) => `${outcome.url}: ${outcome.error}`).join("\n"),
+		};
+	}
+	return { success: true, delivered: outcomes.length };
+}
+
+/**
+ * Credits the batch has used so far
+ * Taken from the balance Firefly shows when it went down since the start,
+ * otherwise estimated from the finished generations
+ * @returns {number} Credits
+ */
+function getCreditsSpent() {
+	const { startBalance, balance } = state.credits;
+	if (startBalance !== null && balance !== null && balance <= startBalance) {
+		return startBalance - balance;
+	}
+
+	const generated = state.items.filter((item) =>
+		["downloaded", "generated"].includes(item.status)
+	).length;
+	return generated * state.creditCost;
+}
+
+/**
+ * Read the generative credit balance from a Firefly tab
+ * @param {number} [tabId] - Tab to read, by default the first worker tab or
+ *   the active tab
+ * @returns {Promise<number|null>} Balance, or null if Firefly doesn't show it
+ */
+async function readCreditBalance(tabId) {
+	try {
+		if (!tabId) {
+			tabId =
+				state.workers.length > 0 ? state.workers[0].tabId : await getActiveTab();
+		}
+		const tab = await chrome.tabs.get(tabId);
+		if (!isFireflyUrl(tab.url)) return null;
+
+		await ensureContentScript(tabId);
+		const response = await sendToContent(tabId, { action: "getCredits" }, 1);
+		return response && typeof response.balance === "number"
+			? response.balance
+			: null;
+	} catch (error) {
+		console.log("Could not read credit balance:", error.message);
+		return null;
+	}
+}
+
+/**
+ * Move every failed item back into the queue with fresh attempts
+ * Restarts the run if it had already ended
+ */
+async function requeueFailed() {
+	const failed = state.items.filter((item) => item.status === "failed");
+	if (failed.length === 0) {
+		return { success: false, error: "No failed prompts" };
+	}
+
+	for (const item of failed) {
+		item.status = "pending";
+		item.attempts = 0;
+		item.retryAt = null;
+		item.error = null;
+		item.errorType = null;
+	}
+	state.currentIndex = state.items.indexOf(failed[0]);
+	await sendLog("info", `↻ Re-queued ${failed.length} failed prompt(s)`);
+
+	if (state.state !== "running" && state.state !== "paused") {
+		state.state = "running";
+		state.currentPrompt = "";
+		await broadcastState();
+		scheduleNext(0);
+	} else {
+		await broadcastState();
+	}
+
+	return { success: true };
+}
+
+/**
+ * Pick the queue back up after the worker, browser or a tab restarted
+ * Checks on every in-flight item, then fills the free tabs
+ */
+async function resumeQueue() {
+	if (state.state !== "running") {
+		return;
+	}
+
+	for (const item of getInFlightItems()) {
+		await probeInFlightItem(item);
+	}
+
+	try {
+		await dispatchPending();
+	} catch (error) {
+		await sendLog("error", `❌ Cannot resume: ${error.message}`);
+	}
+}
+
+/**
+ * Ask an in-flight item's tab whether it is still being worked on
+ * Recovers the result if it finished meanwhile, or re-queues the item if the
+ * work was lost (tab crashed, reloaded or closed)
+ * @param {object} item - In-flight item
+ */
+async function probeInFlightItem(item) {
+	const worker = state.workers.find((worker) => worker.itemId === item.id);
+	let status = null;
+	if (worker) {
+		try {
+			await ensureWorkerTab(worker);
+			status = await sendToContent(worker.tabId, { action: "getStatus" }, 1);
+		} catch (error) {
+			console.log("Content script unavailable:", error.message);
+		}
+	}
+
+	if (status && status.activeRunId === item.runId) {
+		// Still generating, the result will arrive as a message
+		return;
+	}
+
+	if (status && status.lastResult && status.lastResult.runId === item.runId) {
+		await sendLog("info", "Recovered result of interrupted prompt");
+		await handleItemResult(item.runId, status.lastResult.result);
+		return;
+	}
+
+	await requeueInterruptedItem(item, "was interrupted");
+}
+
+/**
+ * Put an in-flight item back in the queue
+ * The interrupted attempt does not count against the retry policy
+ * @param {object} item - In-flight item
+ * @param {string} reason - Why, for the log
+ */
+async function requeueInterruptedItem(item, reason) {
+	const index = state.items.indexOf(item);
+	await sendLog("warning", `↻ Prompt ${index + 1} ${reason}, queuing it again`);
+
+	releaseWorker(item);
+	item.status = "pending";
+	item.runId = null;
+	item.tabId = null;
+	item.phase = "";
+	item.attempts = Math.max(0, item.attempts - 1);
+	state.currentIndex = Math.min(state.currentIndex, index);
+	await broadcastState();
+}
+
+/**
+ * Mark an in-flight item cancelled along with its batch
+ * Continuing the batch from it or an earlier prompt runs it again
+ * @param {object} item - In-flight item
+ * @param {string} reason - Why, for the log
+ */
+async function cancelInterruptedItem(item, reason) {
+	const index = state.items.indexOf(item);
+	await sendLog("warning", `⏹️ Prompt ${index + 1} ${reason}`);
+
+	releaseWorker(item);
+	item.status = "cancelled";
+	item.runId = null;
+	item.tabId = null;
+	item.phase = "";
+	item.completedAt = new Date().toISOString();
+	item.attempts = Math.max(0, item.attempts - 1);
+	state.currentIndex = Math.min(state.currentIndex, index);
+	await broadcastState();
+}
+
+/**
+ * Cancel the prompts being worked on
+ * The tabs give up waiting and never click Generate afterwards; a prompt
+ * Firefly already started still renders there, but isn't downloaded. A tab
+ * that misses the message reports later, and that result is ignored.
+ * @param {boolean} requeue - Queue the prompts again; otherwise they are
+ *   marked cancelled, for a batch that ends here
+ */
+async function cancelInFlightItems(requeue = true) {
+	for (const item of getInFlightItems()) {
+		const { tabId, runId } = item;
+		const reason =
+			item.status === "generating"
+				? "was cancelled while Firefly generated it"
+				: "was cancelled";
+		if (requeue) {
+			await requeueInterruptedItem(item, reason);
+		} else {
+			await cancelInterruptedItem(item, `${reason} with the batch`);
+		}
+		try {
+			await sendToContent(tabId, { action: "cancel", runId: runId }, 1);
+		} catch (error) {
+			console.log(`Could not cancel run ${runId}:`, error.message);
+		}
+	}
+}
+
+/**
+ * List the queue for the side panel's queue editor
+ * @returns {object[]} { id, index, prompt, take, status, error } per item
+ */
+function getQueue() {
+	return state.items.map((item, index) => ({
+		id: item.id,
+		index: index,
+		prompt: item.prompt,
+		take: describeTake(item).trim(),
+		status: item.phase || item.status,
+		error: item.error,
+	}));
+}
+
+/**
+ * Find a pending item for the queue editor
+ * Items that are in flight or done can't be edited
+ * @param {string} itemId - Item ID
+ * @param {string[]} statuses - Statuses the item may have
+ * @returns {{ item?: object, error?: string }} The item, or why it can't
+ *   be edited
+ */
+function findEditableItem(itemId, statuses = ["pending"]) {
+	if (state.state !== "running" && state.state !== "paused") {
+		return { error: "No batch is running" };
+	}
+	const item = state.items.find((item) => item.id === itemId);
+	if (!item) {
+		return { error: "Prompt is no longer in the queue" };
+	}
+	if (!statuses.includes(item.status)) {
+		return { error: `Prompt is ${item.status} and can't be changed` };
+	}
+	return { item: item };
+}
+
+/**
+ * Save a queue edit and let a running queue pick it up
+ * @returns {Promise<object>} Success response
+ */
+async function commitQueueEdit() {
+	await broadcastState();
+	if (state.state === "running") {
+		scheduleNext(0);
+	}
+	return { success: true };
+}
+
+/**
+ * Move a pending item to another queue position
+ * An item moved in front of the next one to run runs next
+ * @param {string} itemId - Item ID
+ * @param {number} toIndex - New position
+ */
+async function moveQueueItem(itemId, toIndex) {
+	const { item, error } = findEditableItem(itemId);
+	if (error) return { success: false, error: error };
+	const from = state.items.indexOf(item);
+	const to = Math.min(Math.max(0, parseInt(toIndex) || 0), state.items.length - 1);
+	if (from === to) return { success: true };
+
+	state.items.splice(from, 1);
+	state.items.splice(to, 0, item);
+	if (from < state.currentIndex) state.currentIndex--;
+	if (to <= state.currentIndex) state.currentIndex = to;
+
+	await sendLog("info", `↕️ Moved prompt ${from + 1} to ${to + 1}`);
+	return commitQueueEdit();
+}
+
+/**
+ * Skip a pending item, or put a skipped one back in the queue
+ * @param {string} itemId - Item ID
+ */
+async function toggleSkipQueueItem(itemId) {
+	const { item, error } = findEditableItem(itemId, ["pending", "skipped"]);
+	if (error) return { success: false, error: error };
+	const index = state.items.indexOf(item);
+
+	if (item.status === "skipped") {
+		item.status = "pending";
+		state.currentIndex = Math.min(state.currentIndex, index);
+		await sendLog("info", `↩️ Prompt ${index + 1} back in the queue`);
+	} else {
+		item.status = "skipped";
+		item.retryAt = null;
+		await sendLog("info", `⏭️ Skipping prompt ${index + 1}`);
+	}
+	return commitQueueEdit();
+}
+
+/**
+ * Change the text of a pending item
+ * @param {string} itemId - Item ID
+ * @param {string} prompt - New prompt
+ */
+async function editQueueItem(itemId, prompt) {
+	const { item, error } = findEditableItem(itemId);
+	if (error) return { success: false, error: error };
+	const text = String(prompt || "").trim();
+	if (!text) {
+		return { success: false, error: "Prompt can't be empty" };
+	}
+
+	item.prompt = text;
+	await sendLog(
+		"info",
+		`✏️ Edited prompt ${state.items.indexOf(item) + 1}: ${previewPrompt(text)}`
+	);
+	return commitQueueEdit();
+}
+
+/**
+ * Insert prompt items into the running batch
+ * They are expanded into takes like the batch's own prompts
+ * @param {object[]} entries - Prompt items ({ prompt, ...per-prompt settings })
+ * @param {number|null} atIndex - Position to insert at; the end if null
+ */
+async function insertQueueItems(entries, atIndex) {
+	if (state.state !== "running" && state.state !== "paused") {
+		return { success: false, error: "No batch is running" };
+	}
+	if (!Array.isArray(entries) || entries.length === 0) {
+		return { success: false, error: "No prompts to insert" };
+	}
+
+	const at =
+		atIndex === null || atIndex === undefined
+			? state.items.length
+			: Math.min(Math.max(0, parseInt(atIndex) || 0), state.items.length);
+	const firstSource =
+		state.items.reduce((last, item) => Math.max(last, item.sourceIndex || 0), -1) + 1;
+	const items = expandTakes(entries, state.takes).map((entry, i) =>
+		createItem(
+			{ ...entry, sourceIndex: firstSource + entry.sourceIndex },
+			state.items.length + i
+		)
+	);
+
+	state.items.splice(at, 0, ...items);
+	state.totalPrompts = state.items.length;
+	if (at <= state.currentIndex) state.currentIndex = at;
+
+	await sendLog("info", `➕ Inserted ${items.length} prompt(s) at ${at + 1}`);
+	return commitQueueEdit();
+}
+
+/**
+ * Run a pending item next; items before it run once the queue wraps around
+ * @param {string} itemId - Item ID
+ */
+async function jumpToQueueItem(itemId) {
+	const { item, error } = findEditableItem(itemId);
+	if (error) return { success: false, error: error };
+	const index = state.items.indexOf(item);
+	item.retryAt = null;
+	state.currentIndex = index;
+
+	await sendLog("info", `⏩ Jumping to prompt ${index + 1}`);
+	return commitQueueEdit();
+}
+
+/**
+ * Expand prompt items into one queue entry per take
+ * Entries that already are a take (re-runs from history) stay as they are
+ * @param {object[]} entries - Prompt items from the popup
+ * @param {number} takes - Takes of prompts without a count of their own
+ * @returns {object[]} Expanded entries
+ */
+function expandTakes(entries, takes) {
+	return entries.flatMap((entry, sourceIndex) => {
+		if (entry.takeIndex) {
+			return [{ ...entry, sourceIndex: sourceIndex }];
+		}
+
+		const count = Math.max(1, parseInt(entry.takes) || takes);
+		return Array.from({ length: count }, (_, i) => ({
+			...entry,
+			sourceIndex: sourceIndex,
+			takeIndex: count > 1 ? i + 1 : undefined,
+			takeCount: count > 1 ? count : undefined,
+		}));
+	});
+}
+
+/**
+ * Get the workers a batch starts with: the tabs registered in the side
+ * panel that are still open, or the active tab when there are none
+ * @returns {Promise<object[]>} Idle workers running the current content script
+ */
+async function collectWorkers() {
+	const tabs = (
+		await Promise.all(
+			state.workers.map((worker) =>
+				chrome.tabs.get(worker.tabId).catch(() => null)
+			)
+		)
+	).filter(Boolean);
+	if (tabs.length === 0) {
+		const tabId = await getActiveTab();
+		tabs.push(await chrome.tabs.get(tabId));
+	}
+	const workers = tabs.map((tab) => ({
+		tabId: tab.id,
+		title: tab.title || "",
+		url: tab.url,
+		itemId: null,
+		state: "ready",
+	}));
+	await sendLog(
+		"info",
+		`Tab${workers.length > 1 ? "s" : " ID"}: ${workers
+			.map((worker) => worker.tabId)
+			.join(", ")}`
+	);
+
+	// Make sure every tab runs the current content script
+	for (const worker of workers) {
+		await ensureWorkerTab(worker);
+	}
+	return workers;
+}
+
+/**
+ * Drop the entries the saved job already downloaded, matched on prompt
+ * text and take number
+ * @param {object[]} entries - Entries expanded into takes
+ * @returns {object[]} Entries still to generate
+ */
+function withoutDownloaded(entries) {
+	const downloaded = new Map();
+	for (const item of state.items) {
+		if (item.status !== "downloaded") continue;
+		const key = `${item.prompt}#${item.takeIndex || 1}`;
+		downloaded.set(key, (downloaded.get(key) || 0) + 1);
+	}
+
+	return entries.filter((entry) => {
+		const key = `${entry.prompt}#${entry.takeIndex || 1}`;
+		const count = downloaded.get(key) || 0;
+		if (count === 0) return true;
+		downloaded.set(key, count - 1);
+		return false;
+	});
+}
+
+/**
+ * Start automation
+ * @param {object[]} entries - Prompt items ({ prompt, ...per-prompt settings })
+ * @param {number} delay - Delay in ms after each submission
+ * @param {boolean} autoDownload - Auto-download videos after generation
+ * @param {object} options - retryPolicy ({ maxAttempts, backoffMs }),
+ *   failureMode, mode (auto, video, image), settings, batchName,
+ *   filenamePattern, concurrency (items generating at once), reopenTabs
+ *   (replace closed Firefly tabs), schedule (see normalizeSchedule),
+ *   creditCost (estimated credits per generation), creditBudget,
+ *   dismissAlerts (close Firefly's error dialogs), takes (generations of
+ *   each prompt without its own count) and skipDownloaded (leave out prompts
+ *   the saved job already downloaded)
+ */
+async function startAutomation(
+	entries,
+	delay,
+	autoDownload = true,
+	options = {}
+) {
+	try {
+		await sendLog("info", "🚀 Starting automation...");
+
+		const workers = await collectWorkers();
+		const startBalance = await readCreditBalance(workers[0].tabId);
+
+		// A batch replaced while still unfinished goes to history first, its
+		// prompts in progress cancelled so the tabs are free for the new one
+		if (state.state === "running" || state.state === "paused") {
+			await cancelInFlightItems();
+			await archiveBatch();
+		}
+
+		// Initialize state
+		const takes = Math.min(100, Math.max(1, parseInt(options.takes) || 1));
+		let expanded = expandTakes(entries, takes);
+		if (options.skipDownloaded) {
+			const remaining = withoutDownloaded(expanded);
+			if (remaining.length < expanded.length) {
+				await sendLog(
+					"info",
+					`⏭️ Skipping ${expanded.length - remaining.length} prompt(s) already downloaded in ${state.batchName}`
+				);
+			}
+			if (remaining.length === 0) {
+				return { success: false, error: "Every prompt was already downloaded" };
+			}
+			expanded = remaining;
+		}
+		const items = expanded.map((entry, index) => createItem(entry, index));
+		state = {
+			...createJob(),
+			state: "running",
+			items: items,
+			totalPrompts: items.length,
+			delay: delay,
+			workers: workers,
+			concurrency: Math.max(1, parseInt(options.concurrency) || 1),
+			reopenTabs: !!options.reopenTabs,
+			dismissAlerts: !!options.dismissAlerts,
+			mode: ["video", "image"].includes(options.mode) ? options.mode : "auto",
+			autoDownload: autoDownload,
+			retryPolicy: { ...DEFAULT_RETRY_POLICY, ...options.retryPolicy },
+			failureMode: options.failureMode === "skip" ? "skip" : "stop",
+			settings: { ...options.settings },
+			takes: takes,
+			batchName:
+				sanitizePathSegment(options.batchName || "") ||
+				`batch-${formatTimestamp(new Date())}`,
+			filenamePattern:
+				(options.filenamePattern || "").trim() || DEFAULT_FILENAME_PATTERN,
+			startedAt: new Date().toISOString(),
+			batchId: `batch-${Date.now()}`,
+			schedule: normalizeSchedule(options.schedule),
+			creditCost: Math.max(0, Number(options.creditCost) || 0),
+			creditBudget:
+				Number(options.creditBudget) > 0 ? Number(options.creditBudget) : null,
+			credits: { startBalance: startBalance, balance: startBalance },
+		};
+
+		await broadcastState();
+		await sendLog(
+			"success",
+			`Loaded ${items.length} prompts, mode: ${
+				state.mode
+			}, delay: ${delay}ms, auto-download: ${
+				autoDownload ? "ON" : "OFF"
+			}, attempts: ${state.retryPolicy.maxAttempts}, on failure: ${
+				state.failureMode
+			}, parallel: ${Math.min(state.concurrency, workers.length)}`
+		);
+		if (autoDownload) {
+			await sendLog(
+				"info",
+				`📁 Saving to ${state.filenamePattern.replace(
+					"{batch}",
+					state.batchName
+				)}`
+			);
+		}
+		const settingsText = Object.entries(state.settings)
+			.map(([name, value]) => `${name}: ${value}`)
+			.join(", ");
+		if (settingsText) {
+			await sendLog("info", `⚙️ Generation settings: ${settingsText}`);
+		}
+
+		// Warn up front instead of when the first affected prompt comes up
+		const referenceNames = [
+			...new Set(state.items.map(getItemReferenceName).filter(Boolean)),
+		];
+		const missingReferences = [];
+		for (const name of referenceNames) {
+			if (!(await getImage(name))) missingReferences.push(name);
+		}
+		if (missingReferences.length > 0) {
+			await sendLog(
+				"warning",
+				`⚠️ Reference images not in the library: ${missingReferences.join(
+					", "
+				)}; their prompts will fail`
+			);
+		}
+
+		if (state.creditCost > 0 || startBalance !== null) {
+			const estimate = items.length * state.creditCost;
+			await sendLog(
+				"info",
+				`💳 Credits: ≈${estimate} for this batch${
+					startBalance !== null ? `, balance ${startBalance}` : ""
+				}${state.creditBudget !== null ? `, budget ${state.creditBudget}` : ""}`
+			);
+		}
+
+		// Waits for the schedule if it is closed right now
+		if (state.schedule) {
+			await sendLog("info", `🕒 Schedule: ${describeSchedule(state.schedule)}`);
+			await applySchedule();
+		}
+
+		// Start processing
+		scheduleNext(0);
+
+		return { success: true };
+	} catch (error) {
+		console.error("Start automation error:", error);
+		await sendLog("error", `❌ Failed to start: ${error.message}`);
+		state.state = "error";
+		state.currentPrompt = error.message;
+		await broadcastState();
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Pause automation
+ * An item already in flight still finishes and its result is recorded,
+ * unless the pause is immediate: then it is cancelled and queued again
+ * @param {boolean} immediate - Cancel the items in flight
+ */
+async function pauseAutomation(immediate = false) {
+	if (state.state === "running") {
+		state.state = "paused";
+		state.pausedBy = "user";
+		if (immediate) {
+			await sendLog("warning", "⏸️ Automation paused");
+			await cancelInFlightItems();
+		} else if (getInFlightItems().length > 0) {
+			await sendLog("warning", "⏸️ Automation paused after the current prompt");
+		} else {
+			await sendLog("warning", "⏸️ Automation paused");
+		}
+		await broadcastState();
+		return { success: true };
+	}
+	return { success: false, error: "Not running" };
+}
+
+/**
+ * Resume automation
+ * Resuming a batch that waits for its start time starts it now, and one
+ * paused at its credit budget continues without a budget; outside the
+ * schedule's windows it waits for the next one
+ */
+async function resumeAutomation() {
+	if (state.state === "paused") {
+		const schedule = state.schedule;
+		if (schedule && schedule.startAt && Date.parse(schedule.startAt) > Date.now()) {
+			schedule.startAt = null;
+			await sendLog("info", "🕒 Starting now instead of at the scheduled time");
+		}
+		if (state.pausedBy === "budget") {
+			state.creditBudget = null;
+			await sendLog("info", "💳 Credit budget lifted");
+		}
+		if (state.pausedBy === "rate_limit") {
+			state.rateLimitStreak = 0;
+		}
+		if (schedule && !isScheduleOpen(schedule)) {
+			// Hand the job to the schedule, which resumes it when a window opens
+			state.pausedBy = "schedule";
+			await applySchedule();
+			await sendLog(
+				"info",
+				`🕒 Outside the schedule windows, resumes ${formatScheduleTime(
+					state.nextScheduleChange
+				)}`
+			);
+			return { success: true };
+		}
+
+		state.state = "running";
+		state.pausedBy = null;
+		await sendLog("info", "▶️ Automation resumed");
+		await broadcastState();
+
+		// Continue processing
+		scheduleNext(0);
+
+		return { success: true };
+	}
+	return { success: false, error: "Not paused" };
+}
+
+/**
+ * Clean up a schedule from the side panel
+ * @param {object} schedule - { startAt, windows }: startAt is an ISO time
+ *   before which nothing runs; each window has days (0 = Sunday) and
+ *   start/end as "HH:MM" local time, an end before the start running past
+ *   midnight
+ * @returns {object|null} Schedule, or null if it restricts nothing
+ */
+function normalizeSchedule(schedule) {
+	if (!schedule) return null;
+
+	const startAt =
+		schedule.startAt && !isNaN(Date.parse(schedule.startAt))
+			? new Date(schedule.startAt).toISOString()
+			: null;
+	const windows = (schedule.windows || [])
+		.filter(
+			(window) =>
+				CLOCK_PATTERN.test(window.start) && CLOCK_PATTERN.test(window.end)
+		)
+		.map((window) => ({
+			days: [...new Set((window.days || []).map(Number))].filter(
+				(day) => day >= 0 && day <= 6
+			),
+			start: window.start,
+			end: window.end,
+		}))
+		.filter((window) => window.days.length > 0);
+
+	if (!startAt && windows.length === 0) return null;
+	return { startAt: startAt, windows: windows };
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} clock - Time of day
+ * @returns {number} Minutes
+ */
+function parseClock(clock) {
+	const [hours, minutes] = clock.split(":");
+	return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+/**
+ * Check whether a time falls inside a schedule window
+ * @param {object} window - { days, start, end }
+ * @param {Date} date - Time to check
+ * @returns {boolean} True inside the window
+ */
+function isInScheduleWindow(window, date) {
+	const minute = date.getHours() * 60 + date.getMinutes();
+	const day = date.getDay();
+	const start = parseClock(window.start);
+	const end = parseClock(window.end);
+
+	if (start < end) {
+		return window.days.includes(day) && minute >= start && minute < end;
+	}
+	// Runs past midnight: the evening of a listed day and the next morning
+	return (
+		(window.days.includes(day) && minute >= start) ||
+		(window.days.includes((day + 6) % 7) && minute < end)
+	);
+}
+
+/**
+ * Check whether the schedule lets the queue run at a given time
+ * @param {object} schedule - Normalized schedule
+ * @param {Date} date - Time to check
+ * @returns {boolean} True if prompts may be dispatched
+ */
+function isScheduleOpen(schedule, date = new Date()) {
+	if (schedule.startAt && date.getTime() < Date.parse(schedule.startAt)) {
+		return false;
+	}
+	return (
+		schedule.windows.length === 0 ||
+		schedule.windows.some((window) => isInScheduleWindow(window, date))
+	);
+}
+
+/**
+ * Find when the schedule next opens or closes
+ * Window edges fall on whole minutes, so minutes are stepped through
+ * @param {object} schedule - Normalized schedule
+ * @param {Date} from - Time to look from
+ * @returns {Date|null} Time of the change, or null if none is coming
+ */
+function getNextScheduleChange(schedule, from = new Date()) {
+	const open = isScheduleOpen(schedule, from);
+	const startAt = schedule.startAt ? new Date(schedule.startAt) : null;
+	if (!open && startAt > from && isScheduleOpen(schedule, startAt)) {
+		return startAt;
+	}
+
+	const base = new Date(Math.max(from.getTime(), startAt ? startAt.getTime() : 0));
+	base.setSeconds(0, 0);
+	for (let minute = 1; minute <= SCHEDULE_LOOKAHEAD_MINUTES; minute++) {
+		const time = new Date(base.getTime() + minute * 60000);
+		if (isScheduleOpen(schedule, time) !== open) {
+			return time;
+		}
+	}
+	return null;
+}
+
+/**
+ * Format a schedule change time for the log
+ * @param {string|Date|null} time - Time
+ * @returns {string} e.g. "Sat 22:00"
+ */
+function formatScheduleTime(time) {
+	if (!time) return "never";
+	return new Date(time).toLocaleString([], {
+		weekday: "short",
+		month: "short",
+		day: "numeric",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+}
+
+/**
+ * Describe a schedule for the log
+ * @param {object} schedule - Normalized schedule
+ * @returns {string} Description
+ */
+function describeSchedule(schedule) {
+	const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+	const parts = [];
+	if (schedule.startAt) {
+		parts.push(`start ${formatScheduleTime(schedule.startAt)}`);
+	}
+	schedule.windows.forEach((window) => {
+		const days = window.days.map((day) => dayNames[day]).join(",");
+		parts.push(`${days} ${window.start}-${window.end}`);
+	});
+	return parts.join("; ");
+}
+
+/**
+ * Pause or resume the job to follow its schedule and set the alarm for the
+ * next change
+ * Only pauses made by the schedule are resumed by it
+ */
+async function applySchedule() {
+	if (!["running", "paused"].includes(state.state)) {
+		return;
+	}
+
+	const schedule = state.schedule;
+	const open = !schedule || isScheduleOpen(schedule);
+	const next = schedule ? getNextScheduleChange(schedule) : null;
+	state.nextScheduleChange = next ? next.toISOString() : null;
+
+	if (state.state === "running" && !open) {
+		state.state = "paused";
+		state.pausedBy = "schedule";
+		await sendLog(
+			next ? "info" : "warning",
+			next
+				? `🕒 Waiting for the schedule, resumes ${formatScheduleTime(next)}`
+				: "🕒 Waiting for the schedule, which doesn't open in the next week"
+		);
+	} else if (state.state === "paused" && state.pausedBy === "schedule" && open) {
+		state.state = "running";
+		state.pausedBy = null;
+		await sendLog("info", "▶️ Schedule window opened, resuming");
+		scheduleNext(0);
+	}
+
+	if (next) {
+		await chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+	} else {
+		await chrome.alarms.clear(SCHEDULE_ALARM);
+	}
+	await broadcastState();
+}
+
+/**
+ * Replace the schedule of the current batch
+ * @param {object|null} schedule - Schedule from the side panel
+ * @returns {object} Response
+ */
+async function updateSchedule(schedule) {
+	if (!["running", "paused"].includes(state.state)) {
+		return { success: false, error: "No batch in progress" };
+	}
+
+	state.schedule = normalizeSchedule(schedule);
+	await sendLog(
+		"info",
+		state.schedule
+			? `🕒 Schedule changed: ${describeSchedule(state.schedule)}`
+			: "🕒 Schedule removed"
+	);
+	await applySchedule();
+	return { success: true };
+}
+
+/**
+ * Stop automation
+ * Items in flight are cancelled and queued again for a later continue
+ */
+async function stopAutomation() {
+	if (state.state === "running" || state.state === "paused") {
+		const completed = summarizeState().completedCount;
+		const stoppedAt = `${completed}/${state.totalPrompts}`;
+		await sendLog("warning", `⏹️ Automation stopped at ${stoppedAt}`);
+		// The queue is kept so the batch can continue later
+		state.state = "stopped";
+		await cancelInFlightItems();
+		state.finishedAt = new Date().toISOString();
+		state.currentPrompt = "";
+		await broadcastState();
+		await archiveBatch();
+		reportBatchFinished();
+		return { success: true };
+	}
+	return { success: false, error: "Not running" };
+}
+
+/**
+ * Continue a stopped, finished or failed batch
+ * Done prompts stay done; failed and skipped ones from the position on run
+ * again, unfinished ones before it are skipped.
+ * @param {number|null} fromIndex - Position to continue from; the position
+ *   the batch stopped at if null
+ */
+async function continueAutomation(fromIndex) {
+	if (!["stopped", "finished", "error"].includes(state.state)) {
+		return { success: false, error: "Stop the batch first" };
+	}
+	if (state.items.length === 0) {
+		return { success: false, error: "No batch to continue" };
+	}
+
+	const start =
+		fromIndex === null || fromIndex === undefined
+			? Math.min(state.currentIndex, state.items.length - 1)
+			: Math.min(Math.max(0, parseInt(fromIndex) || 0), state.items.length - 1);
+
+	let skipped = 0;
+	state.items.forEach((item, index) => {
+		if (item.status === "pending" && index < start) {
+			item.status = "skipped";
+			skipped++;
+		} else if (
+			["failed", "skipped", "cancelled"].includes(item.status) &&
+			index >= start
+		) {
+			item.status = "pending";
+			item.attempts = 0;
+			item.retryAt = null;
+			item.error = null;
+			item.errorType = null;
+		}
+	});
+
+	const pending = state.items.filter((item) => item.status === "pending").length;
+	if (pending === 0 && getInFlightItems().length === 0) {
+		return { success: false, error: `Nothing left to run from prompt ${start + 1}` };
+	}
+
+	try {
+		// In-flight items keep their tab; resumeQueue checks on them
+		const busy = state.workers.filter((worker) => worker.itemId);
+		state.workers = busy.concat(
+			(await collectWorkers()).filter(
+				(worker) => !busy.some((entry) => entry.tabId === worker.tabId)
+			)
+		);
+	} catch (error) {
+		await sendLog("error", `❌ Failed to continue: ${error.message}`);
+		return { success: false, error: error.message };
+	}
+
+	state.state = "running";
+	state.pausedBy = null;
+	state.finishedAt = null;
+	state.currentPrompt = "";
+	state.currentIndex = start;
+	await sendLog(
+		"info",
+		`▶️ Continuing from prompt ${start + 1}/${state.totalPrompts}, ${pending} to go${
+			skipped > 0 ? `, ${skipped} skipped` : ""
+		}`
+	);
+	await broadcastState();
+	await resumeQueue();
+	return { success: true };
+}
+
+/**
+ * Get current state
+ */
+function getState() {
+	return {
+		state: summarizeState(),
+	};
+}
+
+/**
+ * Build the manifest of the current batch: one entry per queue item with
+ * its settings, timing, outcome and downloaded files
+ * @returns {object} Manifest
+ */
+function buildManifest() {
+	return {
+		batchId: state.batchId,
+		batchName: state.batchName,
+		state: state.state,
+		mode: state.mode,
+		startedAt: state.startedAt,
+		finishedAt: state.finishedAt,
+		exportedAt: new Date().toISOString(),
+		filenamePattern: state.filenamePattern,
+		settings: state.settings,
+		takes: state.takes,
+		delay: state.delay,
+		autoDownload: state.autoDownload,
+		retryPolicy: state.retryPolicy,
+		failureMode: state.failureMode,
+		concurrency: state.concurrency,
+		reopenTabs: state.reopenTabs,
+		creditCost: state.creditCost,
+		creditBudget: state.creditBudget,
+		creditsSpent: getCreditsSpent(),
+		creditBalance: state.credits.balance,
+		dismissAlerts: state.dismissAlerts,
+		items: state.items.map((item, index) => ({
+			index: index + 1,
+			id: item.id,
+			prompt: item.prompt,
+			sourceIndex: item.sourceIndex,
+			takeIndex: item.takeIndex,
+			takeCount: item.takeCount,
+			settings: getItemSettings(item),
+			referenceImage: getItemReferenceName(item),
+			filename: item.options.filename || null,
+			tags: item.options.tags || [],
+			status: item.status,
+			mode: item.mode,
+			submittedAt: item.submittedAt,
+			completedAt: item.completedAt,
+			generationMs: item.generationMs,
+			attempts: item.attempts,
+			retries: Math.max(0, item.attempts - 1),
+			error: item.error,
+			errorType: item.errorType,
+			alerts: item.alerts || [],
+			files: (item.downloads || []).map((entry) => ({
+				filename: entry.filename,
+				path: entry.path,
+				state: entry.state,
+			})),
+		})),
+	};
+}
+
+/**
+ * Save the current batch to history
+ * Saving again replaces the earlier copy, so a batch that is re-queued and
+ * finishes later is archived with its final outcome
+ */
+async function archiveBatch() {
+	if (!state.batchId || state.items.length === 0) return;
+
+	const batch = buildManifest();
+	batch.finishedAt = batch.finishedAt || batch.exportedAt;
+	// Per-prompt options are kept so the batch can be run again
+	batch.items.forEach((entry, index) => {
+		entry.options = state.items[index].options;
+	});
+
+	try {
+		await saveBatch(batch);
+	} catch (error) {
+		console.error("History save error:", error);
+		await sendLog("warning", `⚠️ Could not save batch to history: ${error.message}`);
+	}
+}
+
+/**
+ * Start a new batch from an archived one
+ * @param {string} batchId - Archived batch ID
+ * @param {boolean} onlyFailed - Run only the prompts that failed
+ * @returns {Promise<object>} Response object
+ */
+async function rerunBatch(batchId, onlyFailed) {
+	if (state.state === "running" || state.state === "paused") {
+		return { success: false, error: "Stop the current batch first" };
+	}
+
+	const batch = await getBatch(batchId);
+	if (!batch) {
+		return { success: false, error: "Batch not found in history" };
+	}
+
+	const items = onlyFailed
+		? batch.items.filter((item) => item.status === "failed")
+		: batch.items;
+	if (items.length === 0) {
+		return { success: false, error: "No failed prompts in this batch" };
+	}
+
+	await sendLog(
+		"info",
+		`↻ Re-running ${items.length} prompt(s) from ${batch.batchName}`
+	);
+	// Each archived item is one take; batches archived before takes have
+	// repeat numbers instead
+	return startAutomation(
+		items.map((item) => ({
+			prompt: item.prompt,
+			...item.options,
+			takeIndex: item.takeIndex || item.repeatIndex,
+			takeCount: item.takeCount || item.repeatCount,
+		})),
+		batch.delay,
+		batch.autoDownload,
+		{
+			retryPolicy: batch.retryPolicy,
+			failureMode: batch.failureMode,
+			mode: batch.mode,
+			settings: batch.settings,
+			takes: batch.takes,
+			batchName: `${batch.batchName}-rerun`,
+			filenamePattern: batch.filenamePattern,
+			concurrency: batch.concurrency,
+			reopenTabs: batch.reopenTabs,
+			creditCost: batch.creditCost,
+			creditBudget: batch.creditBudget,
+			dismissAlerts: batch.dismissAlerts,
+		}
+	);
+}
+
+/**
+ * Handle a phase update from a content script
+ * Updates for runs that are no longer in flight are ignored
+ * @param {string} runId - Run ID the item was dispatched with
+ * @param {string} phase - Phase name (generating, downloading)
+ */
+async function handlePhase(runId, phase) {
+	const item = state.items.find((item) => item.runId === runId);
+	if (!item || !IN_FLIGHT_STATUSES.includes(item.status)) {
+		return;
+	}
+
+	if (phase === "generating") {
+		item.status = "generating";
+		await sendLog("info", "🎬 Generating...");
+		emitWebhook(
+			"item.submitted",
+			describeItemForWebhook(item, state.items.indexOf(item))
+		);
+	}
+	item.phase = phase;
+	item.phaseStartedAt = Date.now();
+	await broadcastState();
+}
+
+/**
+ * Format a duration for log output
+ * @param {number} ms - Duration in ms
+ * @returns {string} Duration like "1m 05s" or "42.3s"
+ */
+function formatDuration(ms) {
+	const seconds = ms / 1000;
+	if (seconds < 60) {
+		return `${seconds.toFixed(1)}s`;
+	}
+	const mins = Math.floor(seconds / 60);
+	const secs = Math.round(seconds % 60)
+		.toString()
+		.padStart(2, "0");
+	return `${mins}m ${secs}s`;
+}
+
+/**
+ * Format a date for file and batch names
+ * @param {Date} date - Date
+ * @returns {string} e.g. 20250131-142501
+ */
+function formatTimestamp(date) {
+	const pad = (value) => String(value).padStart(2, "0");
+	return (
+		`${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+		`${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+	);
+}
+
+/**
+ * Make text safe for one segment of a download path
+ * @param {string} text - Text
+ * @returns {string} Segment without path separators or reserved characters
+ */
+function sanitizePathSegment(text) {
+	return String(text)
+		.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_")
+		.replace(/\s+/g, " ")
+		.trim()
+		.replace(/^\.+|\.+$/g, "");
+}
+
+/**
+ * Turn a prompt into a short file name slug
+ * @param {string} prompt - Prompt text
+ * @returns {string} e.g. a-cat-on-a-skateboard
+ */
+function slugify(prompt) {
+	return (
+		prompt
+			.toLowerCase()
+			.normalize("NFKD")
+			.replace(/[\u0300-\u036f]/g, "")
+			.replace(/[^a-z0-9]+/g, "-")
+			.slice(0, 60)
+			.replace(/^-+|-+$/g, "") || "prompt"
+	);
+}
+
+/**
+ * Build the download path of a file produced by a queue item
+ * The item's own filename (from a prompt file) replaces the last part of
+ * the pattern
+ * @param {object} item - Queue item
+ * @param {number} index - Item index
+ * @param {string} originalName - File name Firefly suggested
+ * @param {number} fileNumber - 1-based number of the file within the item
+ * @returns {string} Path relative to the Downloads folder
+ */
+function buildDownloadPath(item, index, originalName, fileNumber) {
+	const extensionMatch = originalName.match(/\.[a-z0-9]{1,5}$/i);
+	const extension = extensionMatch ? extensionMatch[0].toLowerCase() : "";
+
+	const segments = (state.filenamePattern || DEFAULT_FILENAME_PATTERN)
+		.split("/")
+		.filter((segment) => segment.trim());
+	const ownName = item.options.filename;
+	if (ownName) {
+		segments[segments.length - 1] =
+			extension && ownName.toLowerCase().endsWith(extension)
+				? ownName.slice(0, -extension.length)
+				: ownName;
+	}
+	// Takes and files of one prompt must not overwrite each other
+	const last = segments.length - 1;
+	if (item.takeCount && !segments[last].includes("{take}")) {
+		segments[last] += "-take{take}";
+	}
+	if (fileNumber > 1 && !segments[last].includes("{n}")) {
+		segments[last] += "-{n}";
+	}
+
+	const tokens = {
+		batch: state.batchName,
+		index: String(index + 1).padStart(
+			Math.max(3, String(state.items.length).length),
+			"0"
+		),
+		slug: slugify(item.prompt),
+		timestamp: formatTimestamp(new Date()),
+		take: String(item.takeIndex || 1),
+		n: String(fileNumber),
+	};
+	const path = segments
+		.map((segment) =>
+			sanitizePathSegment(
+				segment.replace(/\{(\w+)\}/g, (match, name) =>
+					tokens[name] !== undefined ? tokens[name] : match
+				)
+			)
+		)
+		.filter(Boolean)
+		.join("/");
+
+	return (path || tokens.slug) + extension;
+}
+
+/**
+ * Find the item a download that is starting now belongs to: the item in
+ * its download phase, or one that finished downloading moments ago
+ * @returns {number} Item index, or -1 if the download is not ours
+ */
+function findDownloadingItemIndex() {
+	// With several tabs downloading at once, the download goes to the item
+	// that started downloading first
+	const downloading = getInFlightItems()
+		.filter((item) => item.phase === "downloading")
+		.sort((a, b) => a.phaseStartedAt - b.phaseStartedAt);
+	if (downloading.length > 0) {
+		return state.items.indexOf(downloading[0]);
+	}
+
+	// Otherwise the item that finished last
+	const now = Date.now();
+	let latest = -1;
+	state.items.forEach((item, index) => {
+		if (item.status !== "downloaded" || !item.completedAt) return;
+		const completedAt = new Date(item.completedAt).getTime();
+		if (now - completedAt >= DOWNLOAD_GRACE_MS) return;
+		if (
+			latest === -1 ||
+			completedAt > new Date(state.items[latest].completedAt).getTime()
+		) {
+			latest = index;
+		}
+	});
+	return latest;
+}
+
+/**
+ * Check whether a download comes from Firefly, by its URL or the page that
+ * started it
+ * @param {chrome.downloads.DownloadItem} downloadItem - Download
+ * @returns {boolean} True for Firefly or Adobe downloads
+ */
+function isFireflyDownload(downloadItem) {
+	return [downloadItem.url, downloadItem.finalUrl, downloadItem.referrer].some(
+		(url) => {
+			try {
+				const { hostname } = new URL(String(url).replace(/^blob:/, ""));
+				return DOWNLOAD_HOST_PATTERN.test(hostname);
+			} catch (error) {
+				return false;
+			}
+		}
+	);
+}
+
+/**
+ * Tell right away whether a download may belong to a queue item, so other
+ * downloads don't wait for the queue lock
+ * Until the job is loaded nothing can be ruled out
+ * @param {chrome.downloads.DownloadItem} downloadItem - Download
+ * @returns {boolean} False if the download is certainly not ours
+ */
+function mayNameDownload(downloadItem) {
+	if (downloadItem.byExtensionId === chrome.runtime.id) return false;
+	if (!isFireflyDownload(downloadItem)) return false;
+	if (!stateLoaded) return true;
+	return (
+		state.autoDownload &&
+		["running", "paused"].includes(state.state) &&
+		findDownloadingItemIndex() !== -1
+	);
+}
+
+/**
+ * Pick the file name of a download started by the Firefly page
+ * @param {chrome.downloads.DownloadItem} downloadItem - Download
+ * @returns {Promise<string|null>} Path to save to, or null to keep Chrome's
+ */
+async function nameDownload(downloadItem) {
+	// Exports from the side panel keep their own names, and downloads the
+	// user starts elsewhere meanwhile aren't ours
+	if (downloadItem.byExtensionId === chrome.runtime.id) return null;
+	if (!isFireflyDownload(downloadItem)) return null;
+	if (!state.autoDownload || !["running", "paused"].includes(state.state)) {
+		return null;
+	}
+
+	const index = findDownloadingItemIndex();
+	if (index === -1) return null;
+
+	const item = state.items[index];
+	if (!item.downloads) item.downloads = [];
+	const originalName = downloadItem.filename.split(/[\\/]/).pop();
+	const filename = buildDownloadPath(
+		item,
+		index,
+		originalName,
+		item.downloads.length + 1
+	);
+
+	item.downloads.push({
+		id: downloadItem.id,
+		filename: filename,
+		path: null,
+		state: "in_progress",
+	});
+	await broadcastState();
+	return filename;
+}
+
+/**
+ * Record where a renamed download ended up
+ * @param {object} delta - chrome.downloads.onChanged delta
+ */
+async function handleDownloadChanged(delta) {
+	const item = state.items.find(
+		(item) => item.downloads && item.downloads.some((entry) => entry.id === delta.id)
+	);
+	if (!item) return;
+
+	const entry = item.downloads.find((entry) => entry.id === delta.id);
+	if (delta.filename) {
+		entry.path = delta.filename.current;
+	}
+	if (delta.state) {
+		entry.state = delta.state.current;
+		if (entry.state === "complete") {
+			await sendLog("info", `💾 Saved ${entry.filename}`);
+		} else if (entry.state === "interrupted") {
+			await sendLog(
+				"warning",
+				`⚠️ Download ${entry.filename} interrupted${
+					delta.error ? `: ${delta.error.current}` : ""
+				}`
+			);
+		}
+		if (item.status === "downloaded") {
+			reportItemCompleted(item, state.items.indexOf(item));
+		}
+	}
+	await broadcastState();
+}
+
+// Message handler for popup and content script communication
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+	console.log("Background received message:", message.action);
+
+	// Handle async operations
+	(async () => {
+		try {
+			await stateReady;
+			let response;
+
+			switch (message.action) {
+				case "start":
+					response = await withQueueLock(() =>
+						startAutomation(
+							message.items,
+							message.delay,
+							message.autoDownload,
+							{
+								retryPolicy: message.retryPolicy,
+								failureMode: message.failureMode,
+								mode: message.mode,
+								settings: message.settings,
+								takes: message.takes,
+								batchName: message.batchName,
+								filenamePattern: message.filenamePattern,
+								concurrency: message.concurrency,
+								reopenTabs: message.reopenTabs,
+								schedule: message.schedule,
+								creditCost: message.creditCost,
+								creditBudget: message.creditBudget,
+								dismissAlerts: message.dismissAlerts,
+								skipDownloaded: message.skipDownloaded,
+							}
+						)
+					);
+					break;
+
+				case "pause":
+					response = await withQueueLock(() =>
+						pauseAutomation(message.immediate)
+					);
+					break;
+
+				case "resume":
+					response = await withQueueLock(resumeAutomation);
+					break;
 
 				case "stop":
-					response = await stopAutomation();
+					response = await withQueueLock(stopAutomation);
+					break;
+
+				case "continue":
+					response = await withQueueLock(() =>
+						continueAutomation(message.fromIndex)
+					);
+					break;
+
+				case "updateSchedule":
+					response = await withQueueLock(() =>
+						updateSchedule(message.schedule)
+					);
+					break;
+
+				case "getQueue":
+					response = { success: true, items: getQueue() };
+					break;
+
+				case "moveQueueItem":
+					response = await withQueueLock(() =>
+						moveQueueItem(message.itemId, message.toIndex)
+					);
+					break;
+
+				case "skipQueueItem":
+					response = await withQueueLock(() =>
+						toggleSkipQueueItem(message.itemId)
+					);
+					break;
+
+				case "editQueueItem":
+					response = await withQueueLock(() =>
+						editQueueItem(message.itemId, message.prompt)
+					);
+					break;
+
+				case "insertQueueItems":
+					response = await withQueueLock(() =>
+						insertQueueItems(message.items, message.index)
+					);
+					break;
+
+				case "jumpToQueueItem":
+					response = await withQueueLock(() =>
+						jumpToQueueItem(message.itemId)
+					);
+					break;
+
+				case "requeueFailed":
+					response = await withQueueLock(requeueFailed);
+					break;
+
+				case "listHistory":
+					response = {
+						success: true,
+						batches: await listBatches(message.query || ""),
+					};
+					break;
+
+				case "getHistoryBatch":
+					response = {
+						success: true,
+						batch: await getBatch(message.batchId),
+					};
+					break;
+
+				case "deleteHistoryBatch":
+					await deleteBatch(message.batchId);
+					response = { success: true };
+					break;
+
+				case "listReferenceImages":
+					response = { success: true, images: await listImages() };
+					break;
+
+				case "saveReferenceImage":
+					if (!/^data:image\//.test(message.image.dataUrl)) {
+						throw new Error(`${message.image.name} is not an image`);
+					}
+					response = { success: true, image: await saveImage(message.image) };
+					break;
+
+				case "deleteReferenceImage":
+					await deleteImage(message.name);
+					response = { success: true };
+					break;
+
+				case "rerunHistoryBatch":
+					response = await withQueueLock(() =>
+						rerunBatch(message.batchId, !!message.onlyFailed)
+					);
+					break;
+
+				case "addWorker":
+					response = await withQueueLock(addActiveTabWorker);
+					break;
+
+				case "removeWorker":
+					response = await withQueueLock(async () => {
+						await removeWorker(message.tabId, "removed from the pool");
+						if (state.state === "running") scheduleNext(0);
+						return { success: true };
+					});
+					break;
+
+				case "getManifest":
+					response = { success: true, manifest: buildManifest() };
+					break;
+
+				case "getCredits":
+					response = { success: true, balance: await readCreditBalance() };
+					break;
+
+				case "testWebhook":
+					response = await testWebhook();
 					break;
 
 				case "getState":
 					response = getState();
 					break;
 
+				case "phase":
+					// Content script moved to a new phase of the current prompt
+					await withQueueLock(() =>
+						handlePhase(message.runId, message.phase)
+					);
+					response = { success: true };
+					break;
+
+				case "itemResult":
+					// Content script finished (or failed) a prompt
+					await withQueueLock(() =>
+						handleItemResult(message.runId, message.result)
+					);
+					response = { success: true };
+					break;
+
 				case "log":
 					// Forward log from content script to popup
 					chrome.runtime
@@ -390,25 +3266,92 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 	return true;
 });
 
+// Rename downloads started by Firefly while a queue item is downloading
+chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
+	if (!mayNameDownload(downloadItem)) {
+		suggest();
+		return false;
+	}
+
+	stateReady
+		.then(() => withQueueLock(() => nameDownload(downloadItem)))
+		.then((filename) => {
+			if (filename) {
+				suggest({ filename: filename, conflictAction: "uniquify" });
+			} else {
+				suggest();
+			}
+		})
+		.catch((error) => {
+			console.error("Download naming error:", error);
+			suggest();
+		});
+	// Suggest asynchronously
+	return true;
+});
+
+// Record the final path of renamed downloads
+chrome.downloads.onChanged.addListener(async (delta) => {
+	if (!delta.filename && !delta.state) return;
+	await stateReady;
+	await withQueueLock(() => handleDownloadChanged(delta));
+});
+
+// A closed worker tab leaves the pool and its item goes to another tab
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+	await stateReady;
+	await withQueueLock(async () => {
+		const worker = state.workers.find((worker) => worker.tabId === tabId);
+		if (!worker) return;
+
+		await removeWorker(tabId, "was closed, removed from the pool");
+		if (state.reopenTabs && ["running", "paused"].includes(state.state)) {
+			await reopenWorkerTab(worker);
+		}
+		if (state.state === "running") scheduleNext(0);
+	});
+});
+
+// Re-inject and resume when a worker tab reloads or navigates
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+	if (!changeInfo.status) return;
+	await stateReady;
+	await withQueueLock(() => handleTabUpdated(tabId, changeInfo, tab));
+});
+
+// Clicking a notification brings up Firefly
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+	if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+	chrome.notifications.clear(notificationId);
+	try {
+		await focusFireflyTab();
+	} catch (error) {
+		console.log("Could not focus Firefly tab:", error.message);
+	}
+});
+
 // Handle extension icon click - open side panel
 chrome.action.onClicked.addListener((tab) => {
 	chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
-// Restore state on startup
+// Watchdog: wakes the worker while a job runs and resumes it if needed
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+	if (alarm.name === WATCHDOG_ALARM) {
+		await stateReady;
+		await withQueueLock(resumeQueue);
+	} else if (alarm.name === SCHEDULE_ALARM) {
+		await stateReady;
+		await withQueueLock(applySchedule);
+	}
+});
+
+// Resume a running job after a browser restart
 chrome.runtime.onStartup.addListener(async () => {
-	try {
-		const result = await chrome.storage.local.get("automationState");
-		if (result.automationState) {
-			// Restore but reset to idle if it was running
-			state = result.automationState;
-			if (state.state === "running" || state.state === "paused") {
-				state.state = "idle";
-				state.currentPrompt = "";
-			}
-		}
-	} catch (error) {
-		console.error("Error restoring state:", error);
+	await stateReady;
+	if (state.state === "running") {
+		await sendLog("info", "Browser restarted, resuming queue...");
+		await withQueueLock(resumeQueue);
 	}
 });
 
@@ -417,4 +3360,14 @@ chrome.runtime.onInstalled.addListener(() => {
 	console.log("Auto Submit Prompt Queue extension installed");
 });
 
+// Resume immediately when the worker itself was restarted mid-job
+stateReady.then(() => {
+	if (state.state === "running") {
+		withQueueLock(resumeQueue);
+	} else if (state.pausedBy === "schedule") {
+		// The schedule alarm may have been missed while the browser was closed
+		withQueueLock(applySchedule);
+	}
+});
+
 console.log("Background service worker initialized");
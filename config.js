@@ -3,30 +3,297 @@
 
 window.AUTO_SUBMIT_CONFIG = {
 	/**
-	 * CSS selector for the input field
-	 * Examples:
-	 * - 'textarea' - any textarea
-	 * - 'input[type="text"]' - text input
-	 * - '#prompt-input' - specific ID
-	 * - '.prompt-field' - specific class
-	 * - 'textarea[placeholder*="prompt"]' - textarea with "prompt" in placeholder
+	 * Selector profiles - where each automation target lives in Firefly's DOM,
+	 * one profile per generation mode
+	 * Each target is a path of steps separated by ">>>": the first step is
+	 * queried in the page, every following step inside the shadow root of the
+	 * previous match (shadow roots nested below it are searched too).
+	 * An array of steps is accepted as well, except for alertDismissButton,
+	 * which takes an array of candidate paths tried in order.
+	 * When Adobe renames a component, edit or import a profile from the side
+	 * panel instead of shipping a new build. Targets missing from an edited
+	 * profile fall back to the ones below.
+	 * urlPattern: part of the Firefly URL that identifies the mode's page
+	 * creditCost: approximate generative credits one generation uses, for
+	 * the batch estimate and budget (adjust to your plan)
+	 *
+	 * settings - generation setting controls, set before each Generate click
+	 * and read back to verify they applied. Each entry has:
+	 *   type: "picker" (opens a menu and picks an option), "buttons" (clicks
+	 *         one button of a group) or "field" (types into an input)
+	 *   path: ">>>" path of the picker, button group or input
+	 *   option: selector of the options inside the picker/group (searched in
+	 *           the page too, for menus rendered in an overlay)
+	 * Options are matched on their value, label or text, e.g. "16:9" matches
+	 * "Widescreen (16:9)".
 	 */
-	inputSelector: "textarea",
+	selectorProfiles: {
+		video: {
+			name: "Firefly Video",
+			version: 1,
+			urlPattern: "/generate/video",
+			creditCost: 100,
+			targets: {
+				// Prompt textarea
+				promptField:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-prompt-panel >>> " +
+					"firefly-prompt >>> " +
+					"firefly-textfield >>> " +
+					"textarea",
+				// Generate button
+				generateButton:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-prompt-panel >>> " +
+					"firefly-video-generation-generate-button >>> " +
+					"sp-button",
+				// Download button of the current video
+				downloadButton:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-video-panel >>> " +
+					"firefly-video-generation-core-video-player >>> " +
+					"firefly-media-timeline-download-button >>> " +
+					"sp-action-button",
+				// Spinner/progress bar shown while a video is generating
+				progressIndicator:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-video-panel >>> " +
+					'sp-progress-circle, sp-progress-bar, [role="progressbar"]',
+				// Player holding the <video> of the current result
+				videoPlayer:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-video-panel >>> " +
+					"firefly-video-generation-core-video-player",
+				// File input of the first-frame reference image slot
+				referenceUploadInput:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-prompt-panel >>> " +
+					"firefly-video-generation-image-upload >>> " +
+					'input[type="file"]',
+				// Thumbnail shown while a reference image is in the slot
+				referenceImage:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-prompt-panel >>> " +
+					"firefly-video-generation-image-upload >>> " +
+					"img",
+				// Removes the reference image from the slot
+				referenceClearButton:
+					"firefly-video-generation >>> " +
+					"firefly-video-generation-generate-tab-contents >>> " +
+					"firefly-video-generation-prompt-panel >>> " +
+					"firefly-video-generation-image-upload >>> " +
+					'sp-action-button[label="Remove"], sp-clear-button',
+				// Generative credits counter in the Firefly header
+				creditBalance:
+					"firefly-header >>> firefly-credits-indicator >>> " +
+					'[data-testid="credits-count"]',
+				// Dialogs, toasts and banners checked for alertPatterns (matches all)
+				alertDialog:
+					'sp-dialog, sp-toast, sp-alert-banner, [role="alert"], [role="alertdialog"]',
+				// Searched inside an alert to close it: candidates tried in order,
+				// never the dialog's primary action (Buy credits, Sign in, ...)
+				alertDismissButton: [
+					"sp-close-button",
+					'[aria-label="Close"]',
+					'[aria-label="Dismiss"]',
+					'sp-button[variant="secondary"]',
+				],
+			},
+			settings: {
+				aspectRatio: {
+					type: "picker",
+					path:
+						"firefly-video-generation >>> " +
+						"firefly-video-generation-generate-tab-contents >>> " +
+						"firefly-video-generation-settings-panel >>> " +
+						'sp-picker[data-testid="aspect-ratio-picker"]',
+					option: "sp-menu-item",
+				},
+				resolution: {
+					type: "picker",
+					path:
+						"firefly-video-generation >>> " +
+						"firefly-video-generation-generate-tab-contents >>> " +
+						"firefly-video-generation-settings-panel >>> " +
+						'sp-picker[data-testid="resolution-picker"]',
+					option: "sp-menu-item",
+				},
+				duration: {
+					type: "picker",
+					path:
+						"firefly-video-generation >>> " +
+						"firefly-video-generation-generate-tab-contents >>> " +
+						"firefly-video-generation-settings-panel >>> " +
+						'sp-picker[data-testid="duration-picker"]',
+					option: "sp-menu-item",
+				},
+				cameraAngle: {
+					type: "picker",
+					path:
+						"firefly-video-generation >>> " +
+						"firefly-video-generation-generate-tab-contents >>> " +
+						"firefly-video-generation-settings-panel >>> " +
+						'sp-picker[data-testid="camera-angle-picker"]',
+					option: "sp-menu-item",
+				},
+				cameraMotion: {
+					type: "picker",
+					path:
+						"firefly-video-generation >>> " +
+						"firefly-video-generation-generate-tab-contents >>> " +
+						"firefly-video-generation-settings-panel >>> " +
+						'sp-picker[data-testid="camera-motion-picker"]',
+					option: "sp-menu-item",
+				},
+				style: {
+					type: "buttons",
+					path:
+						"firefly-video-generation >>> " +
+						"firefly-video-generation-generate-tab-contents >>> " +
+						"firefly-video-generation-settings-panel >>> " +
+						"firefly-video-generation-style-presets >>> " +
+						"sp-action-group",
+					option: "sp-action-button",
+				},
+				seed: {
+					type: "field",
+					path:
+						"firefly-video-generation >>> " +
+						"firefly-video-generation-generate-tab-contents >>> " +
+						"firefly-video-generation-settings-panel >>> " +
+						'sp-number-field[data-testid="seed-field"] >>> ' +
+						"input",
+				},
+			},
+		},
 
-	/**
-	 * CSS selector for the submit button
-	 * Adobe Firefly specific: Button is inside Shadow DOM
-	 * - Host element: firefly-video-generation-generate-button
-	 * - Shadow button: sp-button[data-testid="video-generation-generate-button"]
-	 */
-	submitButtonSelector:
-		'sp-button[data-testid="video-generation-generate-button"], sp-button#generate-button',
+		image: {
+			name: "Firefly Image",
+			version: 1,
+			urlPattern: "/generate/image",
+			creditCost: 1,
+			targets: {
+				// Prompt textarea
+				promptField:
+					"firefly-image-generation >>> " +
+					"firefly-image-generation-prompt-panel >>> " +
+					"firefly-prompt >>> " +
+					"firefly-textfield >>> " +
+					"textarea",
+				// Generate button
+				generateButton:
+					"firefly-image-generation >>> " +
+					"firefly-image-generation-prompt-panel >>> " +
+					"firefly-image-generation-generate-button >>> " +
+					"sp-button",
+				// Spinner/progress bar shown while images are generating
+				progressIndicator:
+					"firefly-image-generation >>> " +
+					"firefly-image-generation-results >>> " +
+					'sp-progress-circle, sp-progress-bar, [role="progressbar"]',
+				// One tile per variant returned by a generation (matches all)
+				resultTiles:
+					"firefly-image-generation >>> " +
+					"firefly-image-generation-results >>> " +
+					"firefly-image-generation-result-tile",
+				// Searched inside each result tile
+				tileImage: "img",
+				tileDownloadButton:
+					"firefly-image-generation-result-actions >>> " +
+					'sp-action-button[data-testid="download-button"]',
+				// Generative credits counter in the Firefly header
+				creditBalance:
+					"firefly-header >>> firefly-credits-indicator >>> " +
+					'[data-testid="credits-count"]',
+				// Dialogs, toasts and banners checked for alertPatterns (matches all)
+				alertDialog:
+					'sp-dialog, sp-toast, sp-alert-banner, [role="alert"], [role="alertdialog"]',
+				// Searched inside an alert to close it: candidates tried in order,
+				// never the dialog's primary action (Buy credits, Sign in, ...)
+				alertDismissButton: [
+					"sp-close-button",
+					'[aria-label="Close"]',
+					'[aria-label="Dismiss"]',
+					'sp-button[variant="secondary"]',
+				],
+			},
+			settings: {
+				aspectRatio: {
+					type: "picker",
+					path:
+						"firefly-image-generation >>> " +
+						"firefly-image-generation-settings-panel >>> " +
+						'sp-picker[data-testid="aspect-ratio-picker"]',
+					option: "sp-menu-item",
+				},
+				style: {
+					type: "buttons",
+					path:
+						"firefly-image-generation >>> " +
+						"firefly-image-generation-settings-panel >>> " +
+						"firefly-image-generation-style-presets >>> " +
+						"sp-action-group",
+					option: "sp-action-button",
+				},
+				seed: {
+					type: "field",
+					path:
+						"firefly-image-generation >>> " +
+						"firefly-image-generation-settings-panel >>> " +
+						'sp-number-field[data-testid="seed-field"] >>> ' +
+						"input",
+				},
+			},
+		},
+	},
 
 	/**
-	 * Host element that contains Shadow DOM for the button
-	 * Leave empty if button is in regular DOM
+	 * Text of Firefly alerts that the queue reacts to, per error type
+	 * Case-insensitive regular expressions, matched against the alertDialog
+	 * target. credits_exhausted and signed_out pause the batch, rate_limited
+	 * cools down and tries the prompt again, policy_rejected fails the prompt
+	 * without retrying and generation_failed is retried.
+	 * The first type with a matching pattern wins, so rate_limited only
+	 * matches text that names the limit, e.g.:
+	 *   "Too many requests. Please slow down" -> rate_limited
+	 *   "Something went wrong. Please try again later" -> generation_failed
 	 */
-	shadowHostSelector: "firefly-video-generation-generate-button",
+	alertPatterns: {
+		credits_exhausted: [
+			"out of (generative )?credits",
+			"not enough (generative )?credits",
+			"(used|reached) (all|the limit of) your (generative )?credits",
+			"credit (limit|quota)",
+		],
+		rate_limited: [
+			"too many requests",
+			"rate limit",
+			"servers? (are|is) busy",
+		],
+		signed_out: [
+			"session (has )?expired",
+			"(you('ve| have) been|you're|you are) signed out",
+			"sign in (again )?to continue",
+		],
+		policy_rejected: [
+			"(violates?|against) (our|the) (user )?guidelines",
+			"content polic(y|ies)",
+			"can('|no)t generate (this|that|content)",
+			"prompt (was|has been) (blocked|flagged)",
+		],
+		generation_failed: [
+			"generation failed",
+			"(couldn't|could not|unable to) generate",
+			"something went wrong",
+		],
+	},
 
 	/**
 	 * Maximum time to wait for elements or button to become enabled (ms)
@@ -35,13 +302,32 @@ window.AUTO_SUBMIT_CONFIG = {
 	waitTimeoutMs: 180000,
 
 	/**
-	 * Delay after clicking submit before processing next prompt (ms)
+	 * Delay after a generation finishes before processing next prompt (ms)
 	 * Default: 1000 (1 second) - Just a small buffer between prompts
 	 * Note: This can be overridden from the popup UI
-	 * The actual wait time is controlled by waiting for button to become enabled again
+	 * The actual wait time is controlled by detecting generation completion
 	 */
 	submitDelayMs: 1000,
 
+	/**
+	 * Maximum time to wait for a generation to finish after clicking Generate (ms)
+	 * Completion is detected from the video panel, not from a fixed delay
+	 * Default: 600000 (10 minutes)
+	 */
+	generationTimeoutMs: 600000,
+
+	/**
+	 * How often the video panel is checked for generation progress (ms)
+	 * Default: 1000 (1 second)
+	 */
+	completionPollMs: 1000,
+
+	/**
+	 * Maximum time for Firefly to show an uploaded reference image (ms)
+	 * Default: 30000 (30 seconds)
+	 */
+	referenceUploadTimeoutMs: 30000,
+
 	/**
 	 * Auto-download video after generation complete
 	 * Default: true
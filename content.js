@@ -1,593 +1,1736 @@
 // Content Script - DOM Automation for Adobe Firefly
 // Handles nested Shadow DOM interaction for Adobe Firefly Video Generation
+// Wrapped in a function so injecting it again doesn't redeclare anything;
+// window.__PROMPT_PILOT__ marks the running instance.
+
+(() => {
+	// Bump whenever the messages exchanged with background change; must match
+	// CONTENT_PROTOCOL_VERSION in background.js
+	const PROTOCOL_VERSION = 1;
+	const VERSION = chrome.runtime.getManifest().version;
+	const CAPABILITIES = [
+		"submitPrompt",
+		"getStatus",
+		"waitForApp",
+		"settings",
+		"credits",
+		"referenceImage",
+		"cancel",
+	];
+
+	// An instance of the same build keeps running; an outdated one (older
+	// build, or one orphaned by reloading the extension) is torn down first
+	const existing = window.__PROMPT_PILOT__;
+	if (
+		existing &&
+		existing.version === VERSION &&
+		existing.protocol === PROTOCOL_VERSION &&
+		existing.isConnected()
+	) {
+		console.log("🎬 Content script already running, not injecting again");
+		return;
+	}
+	if (existing) {
+		try {
+			existing.teardown();
+		} catch (error) {
+			console.log("⚠️ Could not tear down old content script:", error.message);
+		}
+	}
 
-// Access shared config (injected before this script)
-const CONFIG = window.AUTO_SUBMIT_CONFIG || {
-	inputSelector: "textarea",
-	submitButtonSelector:
-		'sp-button[data-testid="video-generation-generate-button"]',
-	shadowHostSelector: "firefly-video-generation-generate-button",
-	waitTimeoutMs: 30000,
-	submitDelayMs: 3000,
-};
-
-/**
- * Wait for element with polling (for nested shadow DOM)
- * @param {string} selector - CSS selector
- * @param {Document|ShadowRoot} root - Root to search in
- * @param {number} timeout - Maximum wait time in ms
- * @returns {Promise<HTMLElement>} Found element
- */
-function waitForElement(selector, root = document, timeout = 10000) {
-	return new Promise((resolve, reject) => {
-		const startTime = Date.now();
+	// Access shared config (injected before this script)
+	const CONFIG = window.AUTO_SUBMIT_CONFIG || {
+		waitTimeoutMs: 30000,
+		submitDelayMs: 3000,
+		generationTimeoutMs: 600000,
+		completionPollMs: 1000,
+		referenceUploadTimeoutMs: 30000,
+	};
+
+	/**
+	 * Error carrying a type that background uses to decide whether to retry
+	 * Types: element_not_found, button_timeout, generation_timeout, download_failed,
+	 * credits_exhausted, rate_limited, signed_out, policy_rejected, generation_failed,
+	 * reference_failed, cancelled
+	 */
+	class AutomationError extends Error {
+		constructor(type, message) {
+			super(message);
+			this.name = "AutomationError";
+			this.type = type;
+		}
+	}
+
+	// Generation mode (video, image) and selector profile in use; both are set
+	// for every prompt from the side panel's choice or the current page
+	let activeMode = "video";
+	let activeProfile = getDefaultProfile(activeMode);
+
+	// Run currently being processed ({ runId, phase, controller }), null when
+	// idle; aborting the controller cancels the run
+	let activeRun = null;
+
+	// Outcome of the last finished run ({ runId, result }), kept so background
+	// can recover it if the service worker was restarted while generating
+	let lastResult = null;
+
+	// Set once a newer injection replaced this instance
+	let retired = false;
+
+	// Close Firefly's error dialogs after reading them, set per prompt
+	let dismissAlerts = false;
+
+	// Name of the reference image this instance uploaded, so it is removed
+	// before a prompt without one instead of carrying over
+	let uploadedReference = null;
+
+	// Alert types about the account rather than the prompt just submitted
+	const ACCOUNT_ALERTS = ["credits_exhausted", "rate_limited", "signed_out"];
+
+	// ---------------------------------------------------------------------------
+	// Cancellation
+	// Background cancels a run when the user stops or pauses right away. Waits
+	// give up as soon as that happens, and the Generate button is never clicked
+	// afterwards.
+	// ---------------------------------------------------------------------------
+
+	/**
+	 * Error thrown out of a cancelled run
+	 * @returns {AutomationError} Cancelled error
+	 */
+	function cancelledError() {
+		return new AutomationError("cancelled", "Cancelled by the user");
+	}
+
+	/**
+	 * Throw if the run in progress was cancelled
+	 */
+	function throwIfCancelled() {
+		if (activeRun && activeRun.controller.signal.aborted) {
+			throw cancelledError();
+		}
+	}
+
+	/**
+	 * Call a function once the run in progress is cancelled
+	 * Called right away if it already was
+	 * @param {Function} callback - Called on cancel
+	 * @returns {Function} Removes the callback again
+	 */
+	function onCancel(callback) {
+		const signal = activeRun ? activeRun.controller.signal : null;
+		if (!signal) return () => {};
+		if (signal.aborted) {
+			callback();
+			return () => {};
+		}
+		signal.addEventListener("abort", callback, { once: true });
+		return () => signal.removeEventListener("abort", callback);
+	}
+
+	/**
+	 * Wait, giving up early when the run in progress is cancelled
+	 * @param {number} ms - Wait time in ms
+	 * @returns {Promise<void>} Resolves after the wait
+	 */
+	function sleep(ms) {
+		return new Promise((resolve, reject) => {
+			let removeCancel = () => {};
+			const timeoutId = setTimeout(() => {
+				removeCancel();
+				resolve();
+			}, ms);
+			removeCancel = onCancel(() => {
+				clearTimeout(timeoutId);
+				reject(cancelledError());
+			});
+		});
+	}
+
+	// ---------------------------------------------------------------------------
+	// Deep query engine
+	// Paths pierce shadow roots with ">>>", e.g. "my-app >>> my-panel >>> textarea":
+	// the first step is searched in the page, each following step inside the
+	// shadow root of the previous match (and shadow roots nested below it).
+	// ---------------------------------------------------------------------------
+
+	// Resolved elements per path prefix, dropped once the element detaches
+	const deepQueryCache = new Map();
+
+	/**
+	 * Split a deep selector into its steps
+	 * @param {string|string[]} path - ">>>" path, or an array of steps (which may
+	 *   themselves contain ">>>")
+	 * @returns {string[]} Steps
+	 */
+	function parseDeepSelector(path) {
+		const parts = Array.isArray(path) ? path : [path];
+		return parts
+			.flatMap((part) => String(part).split(">>>"))
+			.map((step) => step.trim())
+			.filter((step) => step.length > 0);
+	}
+
+	/**
+	 * Search a root and every shadow root nested below it
+	 * @param {Document|ShadowRoot} root - Root to search in
+	 * @param {string} selector - CSS selector
+	 * @returns {HTMLElement|null} First matching element
+	 */
+	function querySelectorInShadowTree(root, selector) {
+		const element = root.querySelector(selector);
+		if (element) return element;
+
+		for (const el of root.querySelectorAll("*")) {
+			if (el.shadowRoot) {
+				const nested = querySelectorInShadowTree(el.shadowRoot, selector);
+				if (nested) return nested;
+			}
+		}
+
+		return null;
+	}
 
-		const checkElement = () => {
-			const element = root.querySelector(selector);
+	/**
+	 * Get a cached element if it is still attached to the page
+	 * @param {string} key - Cache key (path prefix)
+	 * @returns {HTMLElement|null} Cached element
+	 */
+	function getCachedElement(key) {
+		const ref = deepQueryCache.get(key);
+		const element = ref && ref.deref();
+		if (element && element.isConnected) {
+			return element;
+		}
+		deepQueryCache.delete(key);
+		return null;
+	}
 
+	/**
+	 * Walk a deep selector as far as the page currently allows
+	 * Walks from the deepest cached step that is still attached, so repeated
+	 * queries for the same target only touch the DOM when something changed.
+	 * @param {string|string[]} path - Deep selector
+	 * @param {Document|ShadowRoot|HTMLElement} root - Where the first step is
+	 *   searched; only queries from the document are cached
+	 * @returns {{ element: HTMLElement|null, root: Node }} Matched element, or
+	 *   null plus the root where the walk got stuck
+	 */
+	function walkDeepSelector(path, root = document) {
+		const steps = parseDeepSelector(path);
+		const useCache = root === document;
+		let element = null;
+		let start = 0;
+
+		if (useCache) {
+			for (let i = steps.length - 1; i >= 0; i--) {
+				const cached = getCachedElement(steps.slice(0, i + 1).join(" >>> "));
+				if (cached) {
+					element = cached;
+					start = i + 1;
+					break;
+				}
+			}
+		}
+
+		for (let i = start; i < steps.length; i++) {
 			if (element) {
-				resolve(element);
-			} else if (Date.now() - startTime > timeout) {
-				reject(new Error(`Timeout: ${selector} tidak ditemukan`));
-			} else {
-				setTimeout(checkElement, 200);
+				root = element.shadowRoot;
+				if (!root) return { element: null, root: element };
 			}
+
+			element = querySelectorInShadowTree(root, steps[i]);
+			if (!element) return { element: null, root: root };
+
+			if (useCache) {
+				deepQueryCache.set(
+					steps.slice(0, i + 1).join(" >>> "),
+					new WeakRef(element)
+				);
+			}
+		}
+
+		return { element: element, root: root };
+	}
+
+	/**
+	 * Find an element through nested shadow roots without waiting
+	 * @param {string|string[]} path - Deep selector
+	 * @param {Document|ShadowRoot|HTMLElement} root - Root of the first step
+	 * @returns {HTMLElement|null} Found element
+	 */
+	function queryDeep(path, root = document) {
+		return walkDeepSelector(path, root).element;
+	}
+
+	/**
+	 * Wait for an element behind a deep selector
+	 * Watches the shadow root where the walk is stuck with a MutationObserver
+	 * instead of polling. Changes inside roots nested deeper, and shadow roots
+	 * attached after their host appeared, are not observable, so a slow
+	 * fallback check covers those.
+	 * @param {string|string[]} path - Deep selector
+	 * @param {number} timeout - Maximum wait time in ms
+	 * @param {Document|ShadowRoot|HTMLElement} root - Root of the first step
+	 * @returns {Promise<HTMLElement>} Found element
+	 */
+	function waitForDeep(path, timeout = 10000, root = document) {
+		return new Promise((resolve, reject) => {
+			let observer = null;
+			let observedRoot = null;
+			let timeoutId = null;
+			let fallbackId = null;
+			let settled = false;
+			let removeCancel = () => {};
+
+			const cleanup = () => {
+				settled = true;
+				if (observer) observer.disconnect();
+				clearTimeout(timeoutId);
+				clearInterval(fallbackId);
+				removeCancel();
+			};
+
+			const check = () => {
+				if (settled) return;
+
+				const result = walkDeepSelector(path, root);
+				if (result.element) {
+					cleanup();
+					resolve(result.element);
+					return;
+				}
+
+				// Re-attach when the walk got further (or lost ground)
+				if (result.root !== observedRoot) {
+					if (observer) observer.disconnect();
+					observedRoot = result.root;
+					observer = new MutationObserver(check);
+					observer.observe(observedRoot, { childList: true, subtree: true });
+				}
+			};
+
+			timeoutId = setTimeout(() => {
+				cleanup();
+				reject(
+					new AutomationError(
+						"element_not_found",
+						`Timeout: ${parseDeepSelector(path).join(" >>> ")} tidak ditemukan`
+					)
+				);
+			}, timeout);
+			fallbackId = setInterval(check, 1000);
+			removeCancel = onCancel(() => {
+				cleanup();
+				reject(cancelledError());
+			});
+
+			check();
+		});
+	}
+
+	/**
+	 * Find every element matching the last step of a deep selector
+	 * All steps but the last must resolve to a single element
+	 * @param {string|string[]} path - Deep selector
+	 * @param {Document|ShadowRoot|HTMLElement} root - Root of the first step
+	 * @returns {HTMLElement[]} Matching elements
+	 */
+	function queryDeepAll(path, root = document) {
+		const steps = parseDeepSelector(path);
+		const last = steps.pop();
+
+		if (steps.length > 0) {
+			const parent = queryDeep(steps, root);
+			if (!parent || !parent.shadowRoot) return [];
+			root = parent.shadowRoot;
+		}
+
+		return Array.from(root.querySelectorAll(last));
+	}
+
+	/**
+	 * Get the built-in selector profile of a mode
+	 * @param {string} mode - Generation mode (video, image)
+	 * @returns {object|null} Profile from config.js
+	 */
+	function getDefaultProfile(mode) {
+		return (CONFIG.selectorProfiles && CONFIG.selectorProfiles[mode]) || null;
+	}
+
+	/**
+	 * Detect which Firefly module the page shows
+	 * Uses the URL first, then whichever mode's prompt field is on the page
+	 * @returns {string|null} Mode (video, image), or null if unknown
+	 */
+	function detectMode() {
+		const profiles = Object.entries(CONFIG.selectorProfiles || {});
+
+		for (const [mode, profile] of profiles) {
+			if (profile.urlPattern && location.pathname.includes(profile.urlPattern)) {
+				return mode;
+			}
+		}
+
+		for (const [mode, profile] of profiles) {
+			if (profile.targets.promptField && queryDeep(profile.targets.promptField)) {
+				return mode;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Wait for a freshly loaded Firefly page to show its prompt field
+	 * @param {number} timeout - Maximum wait time in ms
+	 * @param {object} customProfiles - Custom selector profiles by mode
+	 * @returns {Promise<object>} { ready, mode } or { ready: false, error }
+	 */
+	async function waitForApp(timeout = 60000, customProfiles = {}) {
+		const startTime = Date.now();
+
+		while (Date.now() - startTime < timeout) {
+			const mode = detectMode();
+			const profile = mode && (customProfiles[mode] || getDefaultProfile(mode));
+			const promptPath = profile && profile.targets.promptField;
+			if (promptPath && queryDeep(promptPath)) {
+				return { ready: true, mode: mode };
+			}
+			await new Promise((resolve) => setTimeout(resolve, 500));
+		}
+
+		return {
+			ready: false,
+			error: "Firefly did not finish loading (no prompt field found)",
 		};
+	}
 
-		checkElement();
-	});
-}
-
-/**
- * Navigate through nested Shadow DOM to find textarea
- * Adobe Firefly structure:
- * firefly-video-generation →
- *   firefly-video-generation-generate-tab-contents →
- *     firefly-video-generation-prompt-panel →
- *       firefly-prompt →
- *         firefly-textfield →
- *           textarea
- */
-async function findTextarea(timeout = 10000) {
-	console.log("🔍 Searching for textarea in nested Shadow DOM...");
-
-	try {
-		// Level 1: firefly-video-generation
-		const firefly = await waitForElement(
-			"firefly-video-generation",
-			document,
-			timeout
-		);
-		console.log("✅ Level 1: firefly-video-generation found");
-		const sr1 = firefly.shadowRoot;
-		if (!sr1) throw new Error("Shadow root 1 not found");
-
-		// Level 2: firefly-video-generation-generate-tab-contents
-		const contents = await waitForElement(
-			"firefly-video-generation-generate-tab-contents",
-			sr1,
-			timeout
-		);
-		console.log("✅ Level 2: generate-tab-contents found");
-		const sr2 = contents.shadowRoot;
-		if (!sr2) throw new Error("Shadow root 2 not found");
-
-		// Level 3: firefly-video-generation-prompt-panel
-		const promptPanel = await waitForElement(
-			"firefly-video-generation-prompt-panel",
-			sr2,
-			timeout
-		);
-		console.log("✅ Level 3: prompt-panel found");
-		const sr3 = promptPanel.shadowRoot;
-		if (!sr3) throw new Error("Shadow root 3 not found");
-
-		// Level 4: firefly-prompt
-		const fireflyPrompt = await waitForElement(
-			"firefly-prompt",
-			sr3,
-			timeout
-		);
-		console.log("✅ Level 4: firefly-prompt found");
-		const sr4 = fireflyPrompt.shadowRoot;
-		if (!sr4) throw new Error("Shadow root 4 not found");
-
-		// Level 5: firefly-textfield
-		const textField = await waitForElement("firefly-textfield", sr4, timeout);
-		console.log("✅ Level 5: firefly-textfield found");
-		const sr5 = textField.shadowRoot;
-		if (!sr5) throw new Error("Shadow root 5 not found");
-
-		// Level 6: textarea
-		const textarea = await waitForElement("textarea", sr5, timeout);
-		console.log("✅ Level 6: textarea found!", textarea);
-
-		return textarea;
-	} catch (error) {
-		console.error("❌ Error finding textarea:", error);
-		throw error;
-	}
-}
-
-/**
- * Navigate through nested Shadow DOM to find Download button
- * Adobe Firefly structure:
- * firefly-video-generation →
- *   firefly-video-generation-generate-tab-contents →
- *     firefly-video-generation-video-panel →
- *       firefly-video-generation-core-video-player →
- *         firefly-media-timeline-download-button →
- *           sp-action-button
- */
-async function findDownloadButton(timeout = 15000) {
-	console.log("🔍 Searching for Download button in nested Shadow DOM...");
-
-	try {
-		// Level 1: firefly-video-generation
-		const firefly = await waitForElement(
-			"firefly-video-generation",
-			document,
-			timeout
-		);
-		console.log("✅ Level 1: firefly-video-generation found");
-		const sr1 = firefly.shadowRoot;
-		if (!sr1) throw new Error("Shadow root 1 not found");
-
-		// Level 2: firefly-video-generation-generate-tab-contents
-		const contents = await waitForElement(
-			"firefly-video-generation-generate-tab-contents",
-			sr1,
-			timeout
-		);
-		console.log("✅ Level 2: generate-tab-contents found");
-		const sr2 = contents.shadowRoot;
-		if (!sr2) throw new Error("Shadow root 2 not found");
-
-		// Level 3: firefly-video-generation-video-panel
-		const videoPanel = await waitForElement(
-			"firefly-video-generation-video-panel",
-			sr2,
-			timeout
-		);
-		console.log("✅ Level 3: video-panel found");
-		const sr3 = videoPanel.shadowRoot;
-		if (!sr3) throw new Error("Shadow root 3 not found");
-
-		// Level 4: firefly-video-generation-core-video-player
-		const player = await waitForElement(
-			"firefly-video-generation-core-video-player",
-			sr3,
-			timeout
-		);
-		console.log("✅ Level 4: core-video-player found");
-		const sr4 = player.shadowRoot;
-		if (!sr4) throw new Error("Shadow root 4 not found");
-
-		// Level 5: firefly-media-timeline-download-button
-		const downloadHost = await waitForElement(
-			"firefly-media-timeline-download-button",
-			sr4,
-			timeout
-		);
-		console.log("✅ Level 5: download-button host found");
-		const sr5 = downloadHost.shadowRoot;
-		if (!sr5) throw new Error("Shadow root 5 not found");
-
-		// Level 6: sp-action-button
-		const button = await waitForElement("sp-action-button", sr5, timeout);
-		console.log("✅ Level 6: sp-action-button found!", button);
-
-		return button;
-	} catch (error) {
-		console.error("❌ Error finding download button:", error);
-		throw error;
-	}
-}
-
-/**
- * Navigate through nested Shadow DOM to find Generate button
- * Adobe Firefly structure:
- * firefly-video-generation →
- *   firefly-video-generation-generate-tab-contents →
- *     firefly-video-generation-prompt-panel →
- *       firefly-video-generation-generate-button →
- *         sp-button
- */
-async function findGenerateButton(timeout = 10000) {
-	console.log("🔍 Searching for Generate button in nested Shadow DOM...");
-
-	try {
-		// Level 1: firefly-video-generation
-		const firefly = await waitForElement(
-			"firefly-video-generation",
-			document,
-			timeout
-		);
-		console.log("✅ Level 1: firefly-video-generation found");
-		const sr1 = firefly.shadowRoot;
-		if (!sr1) throw new Error("Shadow root 1 not found");
-
-		// Level 2: firefly-video-generation-generate-tab-contents
-		const contents = await waitForElement(
-			"firefly-video-generation-generate-tab-contents",
-			sr1,
-			timeout
-		);
-		console.log("✅ Level 2: generate-tab-contents found");
-		const sr2 = contents.shadowRoot;
-		if (!sr2) throw new Error("Shadow root 2 not found");
-
-		// Level 3: firefly-video-generation-prompt-panel
-		const promptPanel = await waitForElement(
-			"firefly-video-generation-prompt-panel",
-			sr2,
-			timeout
+	/**
+	 * Get the selector path of a target from the active profile
+	 * @param {string} name - Target name (promptField, generateButton, ...)
+	 * @returns {string[]} Path steps
+	 */
+	function getTargetPath(name) {
+		const defaultProfile = getDefaultProfile(activeMode);
+		const profileTargets = (activeProfile && activeProfile.targets) || {};
+		const defaultTargets = (defaultProfile && defaultProfile.targets) || {};
+		const steps = parseDeepSelector(
+			profileTargets[name] || defaultTargets[name] || []
 		);
-		console.log("✅ Level 3: prompt-panel found");
-		const sr3 = promptPanel.shadowRoot;
-		if (!sr3) throw new Error("Shadow root 3 not found");
-
-		// Level 4: firefly-video-generation-generate-button
-		const generateHost = await waitForElement(
-			"firefly-video-generation-generate-button",
-			sr3,
-			timeout
-		);
-		console.log("✅ Level 4: generate-button host found");
-		const sr4 = generateHost.shadowRoot;
-		if (!sr4) throw new Error("Shadow root 4 not found");
-
-		// Level 5: sp-button
-		const button = await waitForElement("sp-button", sr4, timeout);
-		console.log("✅ Level 5: sp-button found!", button);
-
-		return button;
-	} catch (error) {
-		console.error("❌ Error finding button:", error);
-		throw error;
-	}
-}
-
-/**
- * Wait for button to become enabled
- * Checks both 'disabled' attribute and 'aria-disabled'
- * Uses MutationObserver for efficient detection
- * @param {HTMLElement} element - Button element to watch
- * @param {number} timeout - Maximum wait time in ms
- * @returns {Promise<boolean>} True if element became enabled
- */
-function waitForElementEnabled(element, timeout) {
-	return new Promise((resolve, reject) => {
-		// Check if already enabled (both disabled and aria-disabled)
-		const isDisabled =
-			element.hasAttribute("disabled") ||
-			element.getAttribute("aria-disabled") === "true";
 
-		if (!isDisabled) {
-			console.log("✅ Button already enabled");
-			resolve(true);
-			return;
+		if (steps.length === 0) {
+			throw new AutomationError(
+				"element_not_found",
+				`No selector path for target "${name}"`
+			);
 		}
+		return steps;
+	}
 
-		console.log("⏳ Waiting for button to become enabled...");
-		let timeoutId;
-		let observer;
+	/**
+	 * Get the candidate paths of a target that lists several, in order
+	 * @param {string} name - Target name (alertDismissButton)
+	 * @returns {string[][]} Steps of each candidate
+	 */
+	function getTargetCandidates(name) {
+		const defaultProfile = getDefaultProfile(activeMode);
+		const profileTargets = (activeProfile && activeProfile.targets) || {};
+		const defaultTargets = (defaultProfile && defaultProfile.targets) || {};
+		const target = profileTargets[name] || defaultTargets[name] || [];
+
+		return (Array.isArray(target) ? target : [target])
+			.map((path) => parseDeepSelector(path))
+			.filter((steps) => steps.length > 0);
+	}
 
-		// Cleanup function
-		const cleanup = () => {
-			if (observer) observer.disconnect();
-			if (timeoutId) clearTimeout(timeoutId);
-		};
+	/**
+	 * Wait for a target from the selector profile
+	 * @param {string} name - Target name (promptField, generateButton, ...)
+	 * @param {number} timeout - Maximum wait time in ms
+	 * @returns {Promise<HTMLElement>} Element at the end of the path
+	 */
+	async function resolveTarget(name, timeout = 10000) {
+		const element = await waitForDeep(getTargetPath(name), timeout);
+		console.log(`✅ ${name} found`, element);
+		return element;
+	}
+
+	/**
+	 * Find a target from the selector profile without waiting
+	 * @param {string} name - Target name (progressIndicator, ...)
+	 * @returns {HTMLElement|null} Element at the end of the path, or null
+	 */
+	function queryTarget(name) {
+		return queryDeep(getTargetPath(name));
+	}
+
+	/**
+	 * Find all elements of a multi-match target (resultTiles, ...)
+	 * @param {string} name - Target name
+	 * @returns {HTMLElement[]} Matching elements
+	 */
+	function queryTargetAll(name) {
+		return queryDeepAll(getTargetPath(name));
+	}
+
+	/**
+	 * Find the prompt textarea (profile target: promptField)
+	 */
+	async function findTextarea(timeout = 10000) {
+		console.log("🔍 Searching for textarea in nested Shadow DOM...");
+
+		try {
+			return await resolveTarget("promptField", timeout);
+		} catch (error) {
+			console.error("❌ Error finding textarea:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Find the video player (profile target: videoPlayer)
+	 */
+	async function findVideoPlayer(timeout = 15000) {
+		return resolveTarget("videoPlayer", timeout);
+	}
+
+	/**
+	 * Find the Download button (profile target: downloadButton)
+	 */
+	async function findDownloadButton(timeout = 15000) {
+		console.log("🔍 Searching for Download button in nested Shadow DOM...");
+
+		try {
+			return await resolveTarget("downloadButton", timeout);
+		} catch (error) {
+			console.error("❌ Error finding download button:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Find the Generate button (profile target: generateButton)
+	 */
+	async function findGenerateButton(timeout = 10000) {
+		console.log("🔍 Searching for Generate button in nested Shadow DOM...");
+
+		try {
+			return await resolveTarget("generateButton", timeout);
+		} catch (error) {
+			console.error("❌ Error finding button:", error);
+			throw error;
+		}
+	}
 
-		// Set timeout
-		timeoutId = setTimeout(() => {
-			cleanup();
-			reject(new Error("Timeout waiting for button to become enabled"));
-		}, timeout);
+	/**
+	 * Check whether a button is disabled
+	 * Spectrum components use either 'disabled' or 'aria-disabled'
+	 * @param {HTMLElement} element - Button element
+	 * @returns {boolean} True if element is disabled
+	 */
+	function isElementDisabled(element) {
+		return (
+			element.hasAttribute("disabled") ||
+			element.getAttribute("aria-disabled") === "true"
+		);
+	}
 
-		// Create mutation observer to watch for disabled attribute changes
-		observer = new MutationObserver((mutations) => {
-			const isStillDisabled =
-				element.hasAttribute("disabled") ||
-				element.getAttribute("aria-disabled") === "true";
+	/**
+	 * Wait for button to become enabled
+	 * Checks both 'disabled' attribute and 'aria-disabled'
+	 * Uses MutationObserver for efficient detection
+	 * @param {HTMLElement} element - Button element to watch
+	 * @param {number} timeout - Maximum wait time in ms
+	 * @returns {Promise<boolean>} True if element became enabled
+	 */
+	function waitForElementEnabled(element, timeout) {
+		return new Promise((resolve, reject) => {
+			// Check if already enabled (both disabled and aria-disabled)
+			if (!isElementDisabled(element)) {
+				console.log("✅ Button already enabled");
+				resolve(true);
+				return;
+			}
+
+			console.log("⏳ Waiting for button to become enabled...");
+			let timeoutId;
+			let observer;
+
+			// Cleanup function
+			let cleanup = () => {
+				if (observer) observer.disconnect();
+				if (timeoutId) clearTimeout(timeoutId);
+			};
 
-			if (!isStillDisabled) {
-				console.log("✅ Button became enabled!");
+			// Set timeout
+			timeoutId = setTimeout(() => {
+				cleanup();
+				reject(
+					new AutomationError(
+						"button_timeout",
+						"Timeout waiting for button to become enabled"
+					)
+				);
+			}, timeout);
+
+			// Create mutation observer to watch for disabled attribute changes
+			observer = new MutationObserver((mutations) => {
+				if (!isElementDisabled(element)) {
+					console.log("✅ Button became enabled!");
+					cleanup();
+					resolve(true);
+				}
+			});
+
+			// Observe both disabled and aria-disabled attributes
+			observer.observe(element, {
+				attributes: true,
+				attributeFilter: ["disabled", "aria-disabled"],
+			});
+
+			// A button disabled for lack of credits never enables; stop waiting
+			// once Firefly says so. Nothing was submitted yet, so alerts about a
+			// prompt belong to an earlier one.
+			const alertCheck = setInterval(() => {
+				const alert = detectAlert({ accountOnly: true });
+				if (alert) {
+					cleanup();
+					reject(alertToError(alert));
+				}
+			}, CONFIG.completionPollMs);
+			const stopWatching = cleanup;
+			let removeCancel = () => {};
+			cleanup = () => {
+				clearInterval(alertCheck);
+				removeCancel();
+				stopWatching();
+			};
+			removeCancel = onCancel(() => {
+				cleanup();
+				reject(cancelledError());
+			});
+
+			// Check again in case it changed before observer started
+			if (!isElementDisabled(element)) {
+				console.log("✅ Button enabled during setup");
 				cleanup();
 				resolve(true);
 			}
 		});
+	}
 
-		// Observe both disabled and aria-disabled attributes
-		observer.observe(element, {
-			attributes: true,
-			attributeFilter: ["disabled", "aria-disabled"],
-		});
+	/**
+	 * Get the dialogs, toasts and banners Firefly shows right now
+	 * @returns {HTMLElement[]} Alert elements
+	 */
+	function getAlertElements() {
+		try {
+			return queryTargetAll("alertDialog");
+		} catch (error) {
+			// Profile without an alertDialog target
+			return [];
+		}
+	}
 
-		// Check again in case it changed before observer started
-		const recheckDisabled =
-			element.hasAttribute("disabled") ||
-			element.getAttribute("aria-disabled") === "true";
-		if (!recheckDisabled) {
-			console.log("✅ Button enabled during setup");
-			cleanup();
-			resolve(true);
-		}
-	});
-}
-
-/**
- * Query element in regular DOM or Shadow DOM
- * @param {string} selector - CSS selector
- * @param {string} shadowHostSelector - Optional shadow host selector
- * @returns {HTMLElement|null} Found element
- */
-function querySelectorDeep(selector, shadowHostSelector = null) {
-	// If shadow host is specified, look inside its shadow root
-	if (shadowHostSelector) {
-		const host = document.querySelector(shadowHostSelector);
-		if (host && host.shadowRoot) {
-			const element = host.shadowRoot.querySelector(selector);
-			if (element) return element;
-		}
-	}
-
-	// Check regular DOM
-	let element = document.querySelector(selector);
-	if (element) return element;
-
-	// Search all shadow roots in the page
-	const allElements = document.querySelectorAll("*");
-	for (const el of allElements) {
-		if (el.shadowRoot) {
-			element = el.shadowRoot.querySelector(selector);
-			if (element) return element;
-		}
-	}
-
-	return null;
-}
-
-/**
- * Dispatch proper events to simulate user interaction
- * Required for frameworks like React/Vue to detect changes
- * @param {HTMLElement} element - Target element
- * @param {string} eventType - Event type (input, change, etc.)
- */
-function dispatchInputEvent(element, eventType) {
-	const event = new Event(eventType, {
-		bubbles: true,
-		cancelable: true,
-		composed: true,
-	});
-	element.dispatchEvent(event);
-
-	// Also dispatch InputEvent for better compatibility
-	if (eventType === "input") {
-		const inputEvent = new InputEvent("input", {
+	/**
+	 * Look for a Firefly alert matching CONFIG.alertPatterns
+	 * @param {object} options - accountOnly: skip alerts about a prompt;
+	 *   ignore: elements whose prompt alerts belong to an earlier prompt
+	 * @returns {object|null} { type, message, element } of the first match
+	 */
+	function detectAlert(options = {}) {
+		const { accountOnly = false, ignore = null } = options;
+
+		for (const element of getAlertElements()) {
+			const text = (element.innerText || element.textContent || "")
+				.replace(/\s+/g, " ")
+				.trim();
+			if (!text) continue;
+
+			for (const [type, patterns] of Object.entries(CONFIG.alertPatterns || {})) {
+				if (!patterns.some((pattern) => new RegExp(pattern, "i").test(text))) {
+					continue;
+				}
+				const isStale = accountOnly || (ignore && ignore.has(element));
+				if (isStale && !ACCOUNT_ALERTS.includes(type)) continue;
+
+				console.log(`⚠️ Firefly alert (${type}):`, text);
+				return { type: type, message: text.slice(0, 200), element: element };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Close an alert with its close or dismiss button
+	 * @param {HTMLElement} element - Alert element
+	 * @returns {boolean} True if a button was clicked
+	 */
+	function dismissAlert(element) {
+		try {
+			// A later candidate is only tried when an earlier one finds nothing,
+			// so a close button wins over any other button in the alert
+			for (const path of getTargetCandidates("alertDismissButton")) {
+				const button =
+					queryDeep(path, element) ||
+					(element.shadowRoot && queryDeep(path, element.shadowRoot));
+				if (!button) continue;
+
+				clickElement(button);
+				console.log("🗙 Dismissed Firefly alert");
+				return true;
+			}
+			return false;
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Turn a detected alert into the error the prompt fails with, closing the
+	 * alert first when dismissing is on
+	 * @param {object} alert - Alert from detectAlert
+	 * @returns {AutomationError} Error typed after the alert
+	 */
+	function alertToError(alert) {
+		if (dismissAlerts) {
+			dismissAlert(alert.element);
+		}
+		return new AutomationError(alert.type, alert.message);
+	}
+
+	/**
+	 * Read the generative credit balance shown in the Firefly header
+	 * @returns {number|null} Credits left, or null if not shown
+	 */
+	function readCreditBalance() {
+		try {
+			const counter = queryTarget("creditBalance");
+			const match =
+				counter && counter.textContent.replace(/[,.\s]/g, "").match(/\d+/);
+			return match ? parseInt(match[0]) : null;
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Read the source of the video currently shown in the player
+	 * @returns {Promise<string|null>} Video URL, or null if no video is loaded yet
+	 */
+	async function getCurrentVideoSource() {
+		try {
+			const player = await findVideoPlayer(2000);
+			const video = querySelectorInShadowTree(
+				player.shadowRoot || player,
+				"video"
+			);
+			if (!video) return null;
+
+			const source = video.querySelector("source");
+			return video.currentSrc || video.src || (source && source.src) || null;
+		} catch (error) {
+			// Player is not rendered until the first generation
+			return null;
+		}
+	}
+
+	/**
+	 * Read the sources of the current results, to tell new ones apart
+	 * Video mode has a single video; image mode one image per variant tile
+	 * @returns {Promise<string[]>} Result URLs, empty if nothing is shown yet
+	 */
+	async function getResultSources() {
+		if (activeMode === "image") {
+			const imagePath = getTargetPath("tileImage");
+			return queryTargetAll("resultTiles")
+				.map((tile) => queryDeep(imagePath, tile.shadowRoot || tile))
+				.filter((img) => img && img.complete)
+				.map((img) => img.currentSrc || img.src)
+				.filter(Boolean);
+		}
+
+		const src = await getCurrentVideoSource();
+		return src ? [src] : [];
+	}
+
+	/**
+	 * Check whether the results panel shows a generation progress indicator
+	 * @returns {boolean} True if a progress indicator is visible
+	 */
+	function isGenerationInProgress() {
+		try {
+			return !!queryTarget("progressIndicator");
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Wait until Firefly has finished rendering the submitted prompt
+	 * Completion requires all of these signals at once:
+	 * - the results differ from the ones before submit, and stayed the same for
+	 *   two checks in a row (image variants load one by one)
+	 * - no progress indicator is visible in the results panel
+	 * - the Generate button is enabled again
+	 * @param {string[]} previousSources - Result sources before clicking Generate
+	 * @param {HTMLElement} button - Generate button
+	 * @param {number} timeout - Maximum wait time in ms
+	 * @param {Set<HTMLElement>} staleAlerts - Alerts shown before clicking
+	 *   Generate, which say nothing about this prompt
+	 * @returns {Promise<string[]>} Sources of the newly generated results
+	 */
+	async function waitForGenerationComplete(
+		previousSources,
+		button,
+		timeout,
+		staleAlerts = new Set()
+	) {
+		const startTime = Date.now();
+		const previousKey = previousSources.join("|");
+		let sawProgress = false;
+		let lastKey = null;
+
+		while (Date.now() - startTime < timeout) {
+			await sleep(CONFIG.completionPollMs);
+
+			// Firefly may re-render the button while generating
+			if (!button.isConnected) {
+				button = await findGenerateButton(CONFIG.waitTimeoutMs);
+			}
+
+			// Rejected prompts and failed generations never produce results
+			const alert = detectAlert({ ignore: staleAlerts });
+			if (alert) {
+				throw alertToError(alert);
+			}
+
+			const inProgress = isGenerationInProgress();
+			if (inProgress && !sawProgress) {
+				console.log("⏳ Generation in progress...");
+				sawProgress = true;
+			}
+
+			const sources = await getResultSources();
+			const key = sources.join("|");
+			if (
+				sources.length > 0 &&
+				key !== previousKey &&
+				key === lastKey &&
+				!inProgress &&
+				!isElementDisabled(button)
+			) {
+				console.log("✅ New results detected:", sources);
+				return sources;
+			}
+			lastKey = key;
+		}
+
+		throw new AutomationError(
+			"generation_timeout",
+			"Timeout waiting for generation to complete"
+		);
+	}
+
+	/**
+	 * Report the current automation phase to background
+	 * @param {string} phase - Phase name (generating, downloading)
+	 */
+	async function reportPhase(phase) {
+		if (!activeRun) return;
+		if (retired) {
+			throw new AutomationError(
+				"connection_failed",
+				"Content script was replaced while processing"
+			);
+		}
+		activeRun.phase = phase;
+
+		try {
+			await chrome.runtime.sendMessage({
+				action: "phase",
+				runId: activeRun.runId,
+				phase: phase,
+			});
+		} catch (error) {
+			// Background might not be ready, ignore
+		}
+	}
+
+	/**
+	 * Dispatch proper events to simulate user interaction
+	 * Required for frameworks like React/Vue to detect changes
+	 * @param {HTMLElement} element - Target element
+	 * @param {string} eventType - Event type (input, change, etc.)
+	 */
+	function dispatchInputEvent(element, eventType) {
+		const event = new Event(eventType, {
 			bubbles: true,
 			cancelable: true,
 			composed: true,
-			inputType: "insertText",
 		});
-		element.dispatchEvent(inputEvent);
-	}
-}
-
-/**
- * Set value on input/textarea and dispatch events
- * @param {HTMLElement} element - Input or textarea element
- * @param {string} value - Value to set
- */
-function setInputValue(element, value) {
-	// Use native setter if available (for React)
-	const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
-		window.HTMLInputElement.prototype,
-		"value"
-	)?.set;
-
-	const nativeTextAreaValueSetter = Object.getOwnPropertyDescriptor(
-		window.HTMLTextAreaElement.prototype,
-		"value"
-	)?.set;
-
-	// Set value using native setter
-	if (element.tagName === "TEXTAREA" && nativeTextAreaValueSetter) {
-		nativeTextAreaValueSetter.call(element, value);
-	} else if (element.tagName === "INPUT" && nativeInputValueSetter) {
-		nativeInputValueSetter.call(element, value);
-	} else {
-		element.value = value;
-	}
-
-	// Dispatch events in proper order
-	dispatchInputEvent(element, "input");
-	dispatchInputEvent(element, "change");
-	element.dispatchEvent(new Event("blur", { bubbles: true }));
-}
-
-/**
- * Click element with proper event dispatching
- * Simplified to prevent double-click in Shadow DOM
- * @param {HTMLElement} element - Element to click
- */
-function clickElement(element) {
-	// Focus element first
-	element.focus();
-
-	// Only use native click - no event dispatches
-	// Multiple events can cause double-click in Shadow DOM components
-	element.click();
-}
-
-/**
- * Download the generated video
- * @returns {Promise<boolean>} True if download successful
- */
-async function downloadVideo() {
-	try {
-		console.log("⬇️ Starting video download...");
-
-		// Find download button
-		const downloadButton = await findDownloadButton(15000);
-
-		// Check if button is enabled
-		const isDisabled =
-			downloadButton.hasAttribute("disabled") ||
-			downloadButton.getAttribute("aria-disabled") === "true";
-
-		if (isDisabled) {
-			console.log("❌ Download button is disabled");
-			return false;
+		element.dispatchEvent(event);
+
+		// Also dispatch InputEvent for better compatibility
+		if (eventType === "input") {
+			const inputEvent = new InputEvent("input", {
+				bubbles: true,
+				cancelable: true,
+				composed: true,
+				inputType: "insertText",
+			});
+			element.dispatchEvent(inputEvent);
 		}
+	}
 
-		// Click download
-		console.log("👆 Clicking download button...");
-		downloadButton.click();
+	/**
+	 * Set value on input/textarea and dispatch events
+	 * @param {HTMLElement} element - Input or textarea element
+	 * @param {string} value - Value to set
+	 */
+	function setInputValue(element, value) {
+		// Use native setter if available (for React)
+		const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
+			window.HTMLInputElement.prototype,
+			"value"
+		)?.set;
+
+		const nativeTextAreaValueSetter = Object.getOwnPropertyDescriptor(
+			window.HTMLTextAreaElement.prototype,
+			"value"
+		)?.set;
+
+		// Set value using native setter
+		if (element.tagName === "TEXTAREA" && nativeTextAreaValueSetter) {
+			nativeTextAreaValueSetter.call(element, value);
+		} else if (element.tagName === "INPUT" && nativeInputValueSetter) {
+			nativeInputValueSetter.call(element, value);
+		} else {
+			element.value = value;
+		}
 
-		// Wait a bit for download to start
-		await new Promise((resolve) => setTimeout(resolve, 1000));
+		// Dispatch events in proper order
+		dispatchInputEvent(element, "input");
+		dispatchInputEvent(element, "change");
+		element.dispatchEvent(new Event("blur", { bubbles: true }));
+	}
 
-		console.log("✅ Download initiated successfully");
-		return true;
-	} catch (error) {
-		console.error("❌ Error downloading video:", error);
-		return false;
+	/**
+	 * Click element with proper event dispatching
+	 * Simplified to prevent double-click in Shadow DOM
+	 * @param {HTMLElement} element - Element to click
+	 */
+	function clickElement(element) {
+		// Focus element first
+		element.focus();
+
+		// Only use native click - no event dispatches
+		// Multiple events can cause double-click in Shadow DOM components
+		element.click();
 	}
-}
 
-/**
- * Main automation function - submit a single prompt
- * @param {string} prompt - The prompt text to submit
- * @param {number} delay - Delay after submission in ms
- * @returns {Promise<object>} Result object
- */
-async function submitPrompt(prompt, delay) {
-	try {
-		console.log("🚀 Starting prompt submission:", prompt);
+	// Generation settings applied before each prompt, in this order
+	const GENERATION_SETTINGS = [
+		"aspectRatio",
+		"resolution",
+		"duration",
+		"cameraAngle",
+		"cameraMotion",
+		"style",
+		"seed",
+	];
+
+	/**
+	 * Get the control of a generation setting from the active profile
+	 * @param {string} name - Setting name (aspectRatio, style, ...)
+	 * @returns {object|null} { type, path, option }, or null if the mode has none
+	 */
+	function getSettingControl(name) {
+		const defaultProfile = getDefaultProfile(activeMode);
+		const profileSettings = (activeProfile && activeProfile.settings) || {};
+		const defaultSettings = (defaultProfile && defaultProfile.settings) || {};
+		return profileSettings[name] || defaultSettings[name] || null;
+	}
+
+	/**
+	 * Normalize a setting value or option label for comparison
+	 * @param {any} value - Value
+	 * @returns {string} Lowercase text with single spaces
+	 */
+	function normalizeSettingValue(value) {
+		return String(value).toLowerCase().replace(/\s+/g, " ").trim();
+	}
 
-		// Step 1: Find textarea in nested Shadow DOM
-		console.log("📝 Finding textarea...");
-		const textarea = await findTextarea(CONFIG.waitTimeoutMs);
+	/**
+	 * Find the option of a picker or button group that matches a value
+	 * Exact value/label/text matches win over a whole-word match inside the
+	 * label ("16:9" in "Widescreen (16:9)")
+	 * @param {HTMLElement[]} options - Option elements
+	 * @param {any} value - Wanted value
+	 * @returns {HTMLElement|null} Matching option
+	 */
+	function findMatchingOption(options, value) {
+		const wanted = normalizeSettingValue(value);
+		const labels = options.map((option) =>
+			[
+				option.getAttribute("value"),
+				option.getAttribute("label"),
+				option.getAttribute("aria-label"),
+				option.textContent,
+			]
+				.filter(Boolean)
+				.map(normalizeSettingValue)
+		);
+		const escaped = wanted.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		const wordPattern = new RegExp(`(^|[^\\w:])${escaped}($|[^\\w:])`);
 
-		// Step 2: Find Generate button in nested Shadow DOM
-		console.log("🔘 Finding Generate button...");
-		const button = await findGenerateButton(CONFIG.waitTimeoutMs);
+		const exact = labels.findIndex((texts) => texts.includes(wanted));
+		if (exact !== -1) return options[exact];
 
-		// Step 3: Wait for button to become enabled
-		console.log("⏳ Waiting for button to become enabled...");
-		await waitForElementEnabled(button, CONFIG.waitTimeoutMs);
-		console.log("✅ Button is enabled");
+		const partial = labels.findIndex((texts) =>
+			texts.some((text) => wordPattern.test(text))
+		);
+		return partial !== -1 ? options[partial] : null;
+	}
 
-		// Step 4: Clear existing value if present
-		if (textarea.value) {
-			console.log("🗑️ Clearing existing value");
-			setInputValue(textarea, "");
-			await new Promise((resolve) => setTimeout(resolve, 100));
+	/**
+	 * Check whether an option of a picker or button group is selected
+	 * @param {HTMLElement} control - Picker or button group
+	 * @param {HTMLElement} option - Option element
+	 * @returns {boolean} True if selected
+	 */
+	function isOptionSelected(control, option) {
+		if (
+			option.selected === true ||
+			option.checked === true ||
+			option.hasAttribute("selected") ||
+			["aria-selected", "aria-pressed", "aria-checked"].some(
+				(attribute) => option.getAttribute(attribute) === "true"
+			)
+		) {
+			return true;
 		}
 
-		// Step 5: Set the prompt value
-		console.log("✏️ Setting prompt value...");
-		setInputValue(textarea, prompt);
+		// Pickers expose the selected option's value on themselves
+		const value = option.getAttribute("value");
+		return !!value && typeof control.value === "string" && control.value === value;
+	}
 
-		// Give time for value to be processed
-		await new Promise((resolve) => setTimeout(resolve, 200));
+	/**
+	 * Find the options of a picker or button group
+	 * Open menus may be rendered in an overlay outside the control
+	 * @param {HTMLElement} control - Picker or button group
+	 * @param {object} setting - Setting control from the profile
+	 * @returns {HTMLElement[]} Option elements
+	 */
+	function querySettingOptions(control, setting) {
+		const optionPath = setting.option || "sp-menu-item, sp-action-button";
+		const options = queryDeepAll(optionPath, control);
+		if (options.length > 0) return options;
+
+		const inShadow = control.shadowRoot
+			? queryDeepAll(optionPath, control.shadowRoot)
+			: [];
+		return inShadow.length > 0 ? inShadow : queryDeepAll(optionPath);
+	}
 
-		// Step 6: Wait for button to be enabled after input (may become disabled briefly)
-		console.log("⏳ Waiting for button ready after input...");
-		await waitForElementEnabled(button, CONFIG.waitTimeoutMs);
-		console.log("✅ Button ready");
+	/**
+	 * Check whether a generation setting currently has a value
+	 * @param {object} setting - Setting control from the profile
+	 * @param {HTMLElement} control - Picker, button group or input
+	 * @param {any} value - Wanted value
+	 * @returns {boolean} True if the page shows the value
+	 */
+	function isSettingApplied(setting, control, value) {
+		if (setting.type === "field") {
+			return normalizeSettingValue(control.value) === normalizeSettingValue(value);
+		}
+
+		const option = findMatchingOption(querySettingOptions(control, setting), value);
+		return !!option && isOptionSelected(control, option);
+	}
 
-		// Step 7: Click submit button
-		console.log("👆 Clicking Generate button...");
+	/**
+	 * Wait until a setting shows a value
+	 * @param {object} setting - Setting control from the profile
+	 * @param {HTMLElement} control - Picker, button group or input
+	 * @param {any} value - Wanted value
+	 * @param {number} timeout - Maximum wait time in ms
+	 * @returns {Promise<boolean>} True if applied within the timeout
+	 */
+	async function waitForSettingApplied(setting, control, value, timeout) {
+		const startTime = Date.now();
+		while (Date.now() - startTime < timeout) {
+			if (isSettingApplied(setting, control, value)) return true;
+			await sleep(200);
+		}
+		return isSettingApplied(setting, control, value);
+	}
+
+	/**
+	 * Set one generation setting and verify it applied
+	 * @param {string} name - Setting name (aspectRatio, style, ...)
+	 * @param {any} value - Wanted value
+	 */
+	async function applySetting(name, value) {
+		const setting = getSettingControl(name);
+		let control;
+		try {
+			control = await waitForDeep(parseDeepSelector(setting.path), 10000);
+		} catch (error) {
+			if (error.type === "cancelled") throw error;
+			throw new AutomationError("setting_failed", `${name} control not found`);
+		}
+
+		if (isSettingApplied(setting, control, value)) {
+			console.log(`✅ ${name} already ${value}`);
+			return;
+		}
+
+		console.log(`⚙️ Setting ${name} to ${value}...`);
+		if (setting.type === "field") {
+			setInputValue(control, String(value));
+		} else {
+			// Pickers render their menu on open
+			if (setting.type === "picker") {
+				clickElement(control);
+				await sleep(300);
+			}
+
+			const option = findMatchingOption(
+				querySettingOptions(control, setting),
+				value
+			);
+			if (!option) {
+				// Close the menu again
+				if (setting.type === "picker") {
+					control.dispatchEvent(
+						new KeyboardEvent("keydown", { key: "Escape", bubbles: true, composed: true })
+					);
+				}
+				throw new AutomationError(
+					"setting_failed",
+					`No ${name} option matches "${value}"`
+				);
+			}
+			clickElement(option);
+		}
+
+		if (!(await waitForSettingApplied(setting, control, value, 3000))) {
+			throw new AutomationError(
+				"setting_failed",
+				`${name} did not change to "${value}"`
+			);
+		}
+		console.log(`✅ ${name} set to ${value}`);
+	}
+
+	/**
+	 * Apply the generation settings of a prompt
+	 * @param {object} settings - Setting values by name; missing ones are left as they are
+	 * @returns {Promise<string[]>} Names of the settings that were applied
+	 */
+	async function applyGenerationSettings(settings) {
+		const applied = [];
+		for (const name of GENERATION_SETTINGS) {
+			const value = settings[name];
+			if (value === undefined || value === null || value === "") continue;
+			if (!getSettingControl(name)) {
+				sendLog("warning", `⚠️ ${name} can't be set in ${activeMode} mode, skipped`);
+				continue;
+			}
+
+			await applySetting(name, value);
+			applied.push(name);
+		}
+		return applied;
+	}
+
+	/**
+	 * Check that applied settings still hold (Firefly may reset them on input)
+	 * @param {object} settings - Setting values by name
+	 * @param {string[]} names - Settings to check
+	 */
+	async function verifyGenerationSettings(settings, names) {
+		for (const name of names) {
+			const setting = getSettingControl(name);
+			const control = queryDeep(parseDeepSelector(setting.path));
+			if (!control || !isSettingApplied(setting, control, settings[name])) {
+				// One more try before giving up on the prompt
+				await applySetting(name, settings[name]);
+			}
+		}
+	}
+
+	/**
+	 * Check whether the active profile has a selector path for a target
+	 * @param {string} name - Target name
+	 * @returns {boolean} True if the target can be queried
+	 */
+	function hasTarget(name) {
+		try {
+			getTargetPath(name);
+			return true;
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Wait until a target appears or disappears
+	 * @param {string} name - Target name
+	 * @param {boolean} present - Wait for the target to be present (true) or gone
+	 * @param {number} timeout - Maximum wait time in ms
+	 * @returns {Promise<boolean>} True if the state was reached within the timeout
+	 */
+	async function waitForTargetPresence(name, present, timeout) {
+		const startTime = Date.now();
+		while (Date.now() - startTime < timeout) {
+			if (!!queryTarget(name) === present) return true;
+			await sleep(250);
+		}
+		return !!queryTarget(name) === present;
+	}
+
+	/**
+	 * Turn a reference image from background into a File
+	 * @param {object} image - { name, type, dataUrl }
+	 * @returns {File} Image file
+	 */
+	function dataUrlToFile(image) {
+		const [header, data] = image.dataUrl.split(",");
+		const type = image.type || header.replace(/^data:|;base64$/g, "");
+		const binary = atob(data);
+		const bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
+		}
+		return new File([bytes], image.name, { type: type });
+	}
+
+	/**
+	 * Remove the reference image shown in Firefly's reference slot
+	 */
+	async function clearReferenceImage() {
+		const button = queryTarget("referenceClearButton");
+		if (!button) {
+			throw new AutomationError(
+				"reference_failed",
+				"Remove button of the reference image not found"
+			);
+		}
+
+		console.log("🗑️ Removing previous reference image...");
 		clickElement(button);
+		if (!(await waitForTargetPresence("referenceImage", false, 5000))) {
+			throw new AutomationError(
+				"reference_failed",
+				"Previous reference image could not be removed"
+			);
+		}
+		uploadedReference = null;
+	}
 
-		// Small buffer to ensure click is processed
-		await new Promise((resolve) => setTimeout(resolve, 500));
+	/**
+	 * Upload an image into Firefly's reference slot
+	 * The file input is filled through a DataTransfer, as a file picker would
+	 * @param {object} image - { name, type, dataUrl }
+	 */
+	async function uploadReferenceImage(image) {
+		let input;
+		try {
+			input = await resolveTarget("referenceUploadInput", 10000);
+		} catch (error) {
+			if (error.type === "cancelled") throw error;
+			throw new AutomationError(
+				"reference_failed",
+				"Reference image upload not found"
+			);
+		}
 
-		// Step 8: Wait for configured delay after submission
-		console.log(`⏱️ Waiting ${delay}ms after submission...`);
-		await new Promise((resolve) => setTimeout(resolve, delay));
+		console.log(`🖼️ Uploading reference image ${image.name}...`);
+		const transfer = new DataTransfer();
+		transfer.items.add(dataUrlToFile(image));
+		input.files = transfer.files;
+		dispatchInputEvent(input, "change");
 
-		// Step 9: Download video if auto-download enabled
-		if (CONFIG.autoDownload) {
-			console.log(
-				"📥 Auto-download enabled, attempting to download video..."
+		const uploaded = await waitForTargetPresence(
+			"referenceImage",
+			true,
+			CONFIG.referenceUploadTimeoutMs || 30000
+		);
+		if (!uploaded) {
+			throw new AutomationError(
+				"reference_failed",
+				`Reference image ${image.name} did not upload`
 			);
+		}
+		uploadedReference = image.name;
+		console.log(`✅ Reference image ${image.name} uploaded`);
+	}
+
+	/**
+	 * Put the prompt's reference image in the reference slot
+	 * A reference set by hand stays for prompts without one; a reference
+	 * uploaded for an earlier prompt is removed
+	 * @param {object|null} image - { name, type, dataUrl }, or null for none
+	 */
+	async function applyReferenceImage(image) {
+		if (!hasTarget("referenceImage")) {
+			if (image) {
+				throw new AutomationError(
+					"reference_failed",
+					`Reference images can't be uploaded in ${activeMode} mode`
+				);
+			}
+			return;
+		}
+
+		const shown = !!queryTarget("referenceImage");
+		if (!image) {
+			if (uploadedReference && shown) await clearReferenceImage();
+			uploadedReference = null;
+			return;
+		}
+
+		if (shown && uploadedReference === image.name) {
+			console.log(`✅ Reference image ${image.name} already set`);
+			return;
+		}
+		if (shown) await clearReferenceImage();
+		await uploadReferenceImage(image);
+	}
+
+	/**
+	 * Download the generated video
+	 * @returns {Promise<boolean>} True if download successful
+	 */
+	async function downloadVideo() {
+		try {
+			console.log("⬇️ Starting video download...");
+
+			// Find download button
+			const downloadButton = await findDownloadButton(15000);
+
+			// Check if button is enabled
+			if (isElementDisabled(downloadButton)) {
+				console.log("❌ Download button is disabled");
+				return false;
+			}
+
+			// Click download
+			console.log("👆 Clicking download button...");
+			downloadButton.click();
+
+			// Wait a bit for download to start
+			await sleep(1000);
+
+			console.log("✅ Download initiated successfully");
+			return true;
+		} catch (error) {
+			if (error.type === "cancelled") throw error;
+			console.error("❌ Error downloading video:", error);
+			return false;
+		}
+	}
+
+	/**
+	 * Download every variant of an image generation
+	 * Tile actions only render on hover, so each tile is hovered first
+	 * @returns {Promise<number>} Number of variants whose download was started
+	 */
+	async function downloadVariants() {
+		const tiles = queryTargetAll("resultTiles");
+		const buttonPath = getTargetPath("tileDownloadButton");
+		let count = 0;
+
+		console.log(`⬇️ Downloading ${tiles.length} variants...`);
+		for (const tile of tiles) {
 			try {
-				const downloaded = await downloadVideo();
-				if (downloaded) {
-					console.log("✅ Video download initiated successfully");
+				tile.dispatchEvent(
+					new MouseEvent("mouseover", { bubbles: true, composed: true })
+				);
+				const button = await waitForDeep(
+					buttonPath,
+					5000,
+					tile.shadowRoot || tile
+				);
+				if (isElementDisabled(button)) continue;
+
+				button.click();
+				count++;
+				// Space the clicks so the browser does not block multiple downloads
+				await sleep(1000);
+			} catch (error) {
+				if (error.type === "cancelled") throw error;
+				console.error("❌ Error downloading variant:", error);
+			}
+		}
+
+		if (count < tiles.length) {
+			sendLog("warning", `⚠️ Downloaded ${count}/${tiles.length} variants`);
+		}
+		return count;
+	}
+
+	/**
+	 * Download the result of the current generation
+	 * @returns {Promise<number>} Number of files whose download was started
+	 */
+	async function downloadResult() {
+		if (activeMode === "image") {
+			return downloadVariants();
+		}
+		return (await downloadVideo()) ? 1 : 0;
+	}
+
+	/**
+	 * Main automation function - submit a single prompt
+	 * @param {object} item - Prompt item ({ prompt, ...per-prompt settings })
+	 * @param {number} delay - Delay after the video is downloaded in ms
+	 * @param {object} settings - Generation settings (aspectRatio, style, ...)
+	 * @param {object|null} referenceImage - { name, type, dataUrl } to upload
+	 * @returns {Promise<object>} Result object
+	 */
+	async function submitPrompt(item, delay, settings = {}, referenceImage = null) {
+		const prompt = item.prompt;
+
+		try {
+			console.log("🚀 Starting prompt submission:", prompt);
+
+			// Step 1: Find textarea in nested Shadow DOM, unless Firefly already
+			// says the account is out of credits, rate limited or signed out
+			const alert = detectAlert({ accountOnly: true });
+			if (alert) {
+				throw alertToError(alert);
+			}
+			console.log("📝 Finding textarea...");
+			const textarea = await findTextarea(CONFIG.waitTimeoutMs);
+
+			// Step 2: Find Generate button in nested Shadow DOM
+			console.log("🔘 Finding Generate button...");
+			const button = await findGenerateButton(CONFIG.waitTimeoutMs);
+
+			// Step 3: Wait for button to become enabled
+			console.log("⏳ Waiting for button to become enabled...");
+			await waitForElementEnabled(button, CONFIG.waitTimeoutMs);
+			console.log("✅ Button is enabled");
+
+			// Step 4: Apply generation settings (aspect ratio, style, ...) and
+			// swap in the prompt's reference image
+			const appliedSettings = await applyGenerationSettings(settings);
+			await applyReferenceImage(referenceImage);
+
+			// Step 5: Clear existing value if present
+			if (textarea.value) {
+				console.log("🗑️ Clearing existing value");
+				setInputValue(textarea, "");
+				await sleep(100);
+			}
+
+			// Step 6: Set the prompt value
+			console.log("✏️ Setting prompt value...");
+			setInputValue(textarea, prompt);
+
+			// Give time for value to be processed
+			await sleep(200);
+
+			// Step 7: Wait for button to be enabled after input (may become disabled briefly)
+			console.log("⏳ Waiting for button ready after input...");
+			await waitForElementEnabled(button, CONFIG.waitTimeoutMs);
+			console.log("✅ Button ready");
+
+			// Step 8: Remember the current results so new ones can be told
+			// apart, and the alerts already open so they aren't blamed on this
+			// prompt
+			const previousSources = await getResultSources();
+			const staleAlerts = new Set(getAlertElements());
+
+			// Step 9: Make sure the settings still hold right before generating
+			await verifyGenerationSettings(settings, appliedSettings);
+
+			// Step 10: Click submit button, unless the run was cancelled meanwhile
+			throwIfCancelled();
+			console.log("👆 Clicking Generate button...");
+			clickElement(button);
+			const generationStart = Date.now();
+			await reportPhase("generating");
+
+			// Step 11: Wait for Firefly to finish rendering the new results
+			console.log("🎬 Waiting for generation to complete...");
+			await waitForGenerationComplete(
+				previousSources,
+				button,
+				CONFIG.generationTimeoutMs,
+				staleAlerts
+			);
+			const generationMs = Date.now() - generationStart;
+			console.log(`✅ Generation completed in ${generationMs}ms`);
+
+			// Step 12: Download results if auto-download enabled
+			let downloadCount = 0;
+			if (CONFIG.autoDownload) {
+				console.log(
+					`📥 Auto-download enabled, attempting to download ${activeMode}...`
+				);
+				await reportPhase("downloading");
+
+				// Give the results a second chance before failing the item
+				downloadCount = await downloadResult();
+				if (downloadCount === 0) {
+					await sleep(2000);
+					downloadCount = await downloadResult();
+				}
+
+				if (downloadCount > 0) {
+					console.log(`✅ ${downloadCount} download(s) initiated successfully`);
 				} else {
-					console.log("⚠️ Video download failed or button not ready");
-					sendLog("warning", "⚠️ Download button not ready");
+					throw new AutomationError(
+						"download_failed",
+						"Download button not ready"
+					);
 				}
-			} catch (error) {
-				console.log("⚠️ Download error (non-fatal):", error.message);
-				sendLog("warning", `⚠️ Download failed: ${error.message}`);
-				// Don't fail the entire submission just because download failed
 			}
+
+			// Step 13: Wait for configured delay before the next prompt
+			console.log(`⏱️ Waiting ${delay}ms before next prompt...`);
+			await sleep(delay);
+
+			console.log("✅ Prompt submitted successfully");
+			return {
+				success: true,
+				generationMs: generationMs,
+				mode: activeMode,
+				downloaded: downloadCount > 0,
+				downloadCount: downloadCount,
+				creditBalance: readCreditBalance(),
+			};
+		} catch (error) {
+			if (error.type === "cancelled") {
+				console.log("🛑 Prompt cancelled");
+			} else {
+				console.error("❌ Error submitting prompt:", error);
+				sendLog("error", `❌ Submission error: ${error.message}`);
+			}
+			return {
+				success: false,
+				error: error.message,
+				errorType: error.type || "unknown",
+				creditBalance: readCreditBalance(),
+			};
 		}
+	}
 
-		console.log("✅ Prompt submitted successfully");
-		return { success: true };
-	} catch (error) {
-		console.error("❌ Error submitting prompt:", error);
-		sendLog("error", `❌ Submission error: ${error.message}`);
-		return { success: false, error: error.message };
+	/**
+	 * Report the outcome of a run to background
+	 * Sending a message wakes the service worker if it was evicted meanwhile
+	 * @param {string} runId - Run ID from background
+	 * @param {object} result - Result object from submitPrompt
+	 */
+	async function reportResult(runId, result) {
+		// The new instance doesn't know this run; background re-queues it
+		if (retired) return;
+
+		try {
+			await chrome.runtime.sendMessage({
+				action: "itemResult",
+				runId: runId,
+				result: result,
+			});
+		} catch (error) {
+			// Background polls getStatus and picks up lastResult instead
+			console.log("⚠️ Could not report result:", error.message);
+		}
 	}
-}
 
-/**
- * Handle messages from background service worker
- */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-	console.log("Content script received message:", message.action);
+	/**
+	 * Process a prompt dispatched by background
+	 * @param {object} message - submitPrompt message
+	 */
+	async function runPrompt(message) {
+		activeRun = {
+			runId: message.runId,
+			phase: "submitting",
+			controller: new AbortController(),
+		};
+
+		const result = await submitPrompt(
+			message.item,
+			message.delay || CONFIG.submitDelayMs,
+			message.settings || {},
+			message.referenceImage || null
+		).catch((error) => ({ success: false, error: error.message }));
 
-	if (message.action === "submitPrompt") {
-		// Override config if autoDownload is specified
-		if (typeof message.autoDownload !== "undefined") {
-			CONFIG.autoDownload = message.autoDownload;
-			console.log("Auto-download setting:", CONFIG.autoDownload);
+		lastResult = { runId: message.runId, result: result };
+		activeRun = null;
+		await reportResult(message.runId, result);
+	}
+
+	/**
+	 * Handle messages from background service worker
+	 * @param {object} message - Message
+	 * @param {chrome.runtime.MessageSender} sender - Sender
+	 * @param {Function} sendResponse - Response callback
+	 * @returns {boolean} True when the response is sent asynchronously
+	 */
+	function handleMessage(message, sender, sendResponse) {
+		console.log("Content script received message:", message.action);
+
+		if (message.action === "hello") {
+			sendResponse({
+				version: VERSION,
+				protocol: PROTOCOL_VERSION,
+				capabilities: CAPABILITIES,
+				busy: !!activeRun,
+			});
+			return false;
 		}
 
-		// Process prompt asynchronously
-		submitPrompt(message.prompt, message.delay || CONFIG.submitDelayMs)
-			.then((result) => sendResponse(result))
-			.catch((error) =>
-				sendResponse({ success: false, error: error.message })
-			);
+		if (message.action === "submitPrompt") {
+			// Same run dispatched again (e.g. background restarted) - already on it
+			if (activeRun && activeRun.runId === message.runId) {
+				sendResponse({ accepted: true });
+				return false;
+			}
+
+			if (activeRun) {
+				sendResponse({
+					accepted: false,
+					error: "Content script is busy with another prompt",
+				});
+				return false;
+			}
 
-		// Return true to indicate async response
-		return true;
-	}
-
-	return false;
-});
-
-/**
- * Send log to background (which forwards to UI)
- * Only for errors and critical events
- * @param {string} level - Log level (info, success, warning, error)
- * @param {string} message - Log message
- */
-function sendLog(level, message) {
-	try {
-		chrome.runtime
-			.sendMessage({
-				action: "log",
-				level: level,
-				message: message,
-				timestamp: new Date().toISOString(),
-			})
-			.catch(() => {
-				// Background might not be ready, ignore
+			// Pick the mode: explicit choice from the side panel, or the page's
+			const detectedMode = detectMode();
+			const mode =
+				message.mode && message.mode !== "auto" ? message.mode : detectedMode;
+			if (!getDefaultProfile(mode)) {
+				sendResponse({
+					accepted: false,
+					error: "Open Firefly video or image generation first",
+					errorType: "wrong_page",
+				});
+				return false;
+			}
+			if (detectedMode && detectedMode !== mode) {
+				sendResponse({
+					accepted: false,
+					error: `This tab shows Firefly ${detectedMode} generation, not ${mode}`,
+					errorType: "wrong_page",
+				});
+				return false;
+			}
+
+			// Use the side panel's custom profile for the mode, or the built-in one
+			const customProfiles = message.selectorProfiles || {};
+			const nextProfile = customProfiles[mode] || getDefaultProfile(mode);
+			if (
+				mode !== activeMode ||
+				JSON.stringify(nextProfile) !== JSON.stringify(activeProfile)
+			) {
+				deepQueryCache.clear();
+			}
+			activeMode = mode;
+			activeProfile = nextProfile;
+
+			dismissAlerts = !!message.dismissAlerts;
+
+			// Override config if autoDownload is specified
+			if (typeof message.autoDownload !== "undefined") {
+				CONFIG.autoDownload = message.autoDownload;
+				console.log("Auto-download setting:", CONFIG.autoDownload);
+			}
+
+			// Acknowledge right away; the result is reported as its own message
+			// so generation never depends on the service worker staying alive
+			sendResponse({ accepted: true });
+			runPrompt(message);
+			return false;
+		}
+
+		if (message.action === "cancel") {
+			// Only the run background means; a newer one keeps going
+			const cancelled = !!activeRun && activeRun.runId === message.runId;
+			if (cancelled) {
+				console.log("🛑 Cancelling prompt in progress");
+				activeRun.controller.abort();
+			}
+			sendResponse({ cancelled: cancelled });
+			return false;
+		}
+
+		if (message.action === "getStatus") {
+			sendResponse({
+				activeRunId: activeRun ? activeRun.runId : null,
+				phase: activeRun ? activeRun.phase : null,
+				lastResult: lastResult,
 			});
-	} catch (error) {
-		// Ignore if background not available
+			return false;
+		}
+
+		if (message.action === "getCredits") {
+			sendResponse({ balance: readCreditBalance() });
+			return false;
+		}
+
+		if (message.action === "waitForApp") {
+			// Answered asynchronously once the page is ready
+			waitForApp(message.timeout, message.selectorProfiles || {}).then(
+				sendResponse
+			);
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Send log to background (which forwards to UI)
+	 * Only for errors and critical events
+	 * @param {string} level - Log level (info, success, warning, error)
+	 * @param {string} message - Log message
+	 */
+	function sendLog(level, message) {
+		try {
+			chrome.runtime
+				.sendMessage({
+					action: "log",
+					level: level,
+					message: message,
+					timestamp: new Date().toISOString(),
+				})
+				.catch(() => {
+					// Background might not be ready, ignore
+				});
+		} catch (error) {
+			// Ignore if background not available
+		}
+	}
+
+	/**
+	 * Stop this instance so a newer injection can take over
+	 * A prompt still in progress is cancelled without reporting
+	 */
+	function teardown() {
+		retired = true;
+		if (activeRun) activeRun.controller.abort();
+		chrome.runtime.onMessage.removeListener(handleMessage);
+		deepQueryCache.clear();
+		console.log("🎬 Content script torn down");
 	}
-}
 
-// Log when content script is loaded (only in console, not UI)
-console.log("🎬 Auto Submit content script loaded for Adobe Firefly");
-console.log("Configuration:", CONFIG);
+	chrome.runtime.onMessage.addListener(handleMessage);
+	window.__PROMPT_PILOT__ = {
+		version: VERSION,
+		protocol: PROTOCOL_VERSION,
+		// The extension context is gone once the extension reloads
+		isConnected: () => !!(chrome.runtime && chrome.runtime.id),
+		teardown: teardown,
+	};
+
+	// Log when content script is loaded (only in console, not UI)
+	console.log("🎬 Auto Submit content script loaded for Adobe Firefly");
+	console.log("Configuration:", CONFIG);
+})();
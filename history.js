@@ -0,0 +1,218 @@
+// Batch history and reference images
+// Archives finished, stopped and failed batches in IndexedDB, so starting a
+// new batch no longer loses the previous one, and keeps the reference images
+// prompts upload to Firefly. Only background.js opens the database; the side
+// panel goes through background messages.
+
+const DB_NAME = "promptpilot";
+const DB_VERSION = 2;
+const BATCH_STORE = "batches";
+// Reference images by file name: { name, type, size, dataUrl, addedAt }
+const IMAGE_STORE = "images";
+
+// Oldest batches are dropped beyond this many
+const MAX_BATCHES = 200;
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Request result
+ */
+function requestToPromise(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Open (and create on first use) the history database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+	if (!databasePromise) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(BATCH_STORE)) {
+				const store = db.createObjectStore(BATCH_STORE, { keyPath: "batchId" });
+				store.createIndex("finishedAt", "finishedAt");
+			}
+			if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+				db.createObjectStore(IMAGE_STORE, { keyPath: "name" });
+			}
+		};
+		databasePromise = requestToPromise(request).catch((error) => {
+			databasePromise = null;
+			throw error;
+		});
+	}
+	return databasePromise;
+}
+
+/**
+ * Run a function against an object store in one transaction
+ * @param {string} storeName - BATCH_STORE or IMAGE_STORE
+ * @param {string} mode - readonly or readwrite
+ * @param {Function} fn - Receives the store, returns a request or value
+ * @returns {Promise<any>} Result of the returned request
+ */
+async function withStore(storeName, mode, fn) {
+	const db = await openDatabase();
+	const transaction = db.transaction(storeName, mode);
+	const done = new Promise((resolve, reject) => {
+		transaction.oncomplete = resolve;
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+	// A failed request fails the transaction too; that error is thrown below
+	// already, so this one must not go unhandled
+	done.catch(() => {});
+
+	const result = fn(transaction.objectStore(storeName));
+	const value = result instanceof IDBRequest ? await requestToPromise(result) : result;
+	await done;
+	return value;
+}
+
+/**
+ * Summarize a batch for the history list
+ * @param {object} batch - Archived batch
+ * @returns {object} Summary without the items
+ */
+function summarizeBatch(batch) {
+	const count = (statuses) =>
+		batch.items.filter((item) => statuses.includes(item.status)).length;
+
+	return {
+		batchId: batch.batchId,
+		batchName: batch.batchName,
+		state: batch.state,
+		mode: batch.mode,
+		startedAt: batch.startedAt,
+		finishedAt: batch.finishedAt,
+		totalPrompts: batch.items.length,
+		completedCount: count(["downloaded", "generated"]),
+		failedCount: count(["failed"]),
+	};
+}
+
+/**
+ * Save a batch, replacing an earlier copy of the same batch
+ * @param {object} batch - Batch manifest with batchId
+ */
+export async function saveBatch(batch) {
+	await withStore(BATCH_STORE, "readwrite", (store) => store.put(batch));
+
+	const keys = await withStore(BATCH_STORE, "readonly", (store) =>
+		store.index("finishedAt").getAllKeys()
+	);
+	const excess = keys.slice(0, Math.max(0, keys.length - MAX_BATCHES));
+	if (excess.length > 0) {
+		await withStore(BATCH_STORE, "readwrite", (store) => {
+			excess.forEach((key) => store.delete(key));
+		});
+	}
+}
+
+/**
+ * List archived batches, newest first
+ * @param {string} query - Matches batch names and prompts; empty lists all
+ * @returns {Promise<object[]>} Batch summaries
+ */
+export async function listBatches(query = "") {
+	const batches = await withStore(BATCH_STORE, "readonly", (store) => store.getAll());
+	const needle = query.trim().toLowerCase();
+
+	return batches
+		.filter(
+			(batch) =>
+				!needle ||
+				(batch.batchName || "").toLowerCase().includes(needle) ||
+				batch.items.some((item) => item.prompt.toLowerCase().includes(needle))
+		)
+		.sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)))
+		.map(summarizeBatch);
+}
+
+/**
+ * Get an archived batch with its items
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object|null>} Batch, or null if unknown
+ */
+export async function getBatch(batchId) {
+	const batch = await withStore(BATCH_STORE, "readonly", (store) => store.get(batchId));
+	return batch || null;
+}
+
+/**
+ * Delete an archived batch
+ * @param {string} batchId - Batch ID
+ */
+export async function deleteBatch(batchId) {
+	await withStore(BATCH_STORE, "readwrite", (store) => store.delete(batchId));
+}
+
+/**
+ * Summarize a reference image for the side panel list
+ * @param {object} image - Stored image
+ * @returns {object} Image without its data
+ */
+function summarizeImage(image) {
+	return {
+		name: image.name,
+		type: image.type,
+		size: image.size,
+		addedAt: image.addedAt,
+	};
+}
+
+/**
+ * Save a reference image, replacing an earlier one with the same name
+ * @param {object} image - { name, type, dataUrl }
+ * @returns {Promise<object>} Image summary
+ */
+export async function saveImage(image) {
+	// Base64 holds 3 bytes in every 4 characters
+	const base64Length = image.dataUrl.length - image.dataUrl.indexOf(",") - 1;
+	const record = {
+		name: image.name,
+		type: image.type,
+		size: Math.floor((base64Length * 3) / 4),
+		dataUrl: image.dataUrl,
+		addedAt: new Date().toISOString(),
+	};
+	await withStore(IMAGE_STORE, "readwrite", (store) => store.put(record));
+	return summarizeImage(record);
+}
+
+/**
+ * List stored reference images by name
+ * @returns {Promise<object[]>} Image summaries
+ */
+export async function listImages() {
+	const images = await withStore(IMAGE_STORE, "readonly", (store) => store.getAll());
+	return images
+		.sort((a, b) => a.name.localeCompare(b.name))
+		.map(summarizeImage);
+}
+
+/**
+ * Get a reference image with its data
+ * @param {string} name - File name
+ * @returns {Promise<object|null>} Image, or null if unknown
+ */
+export async function getImage(name) {
+	const image = await withStore(IMAGE_STORE, "readonly", (store) => store.get(name));
+	return image || null;
+}
+
+/**
+ * Delete a reference image
+ * @param {string} name - File name
+ */
+export async function deleteImage(name) {
+	await withStore(IMAGE_STORE, "readwrite", (store) => store.delete(name));
+}
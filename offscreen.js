@@ -0,0 +1,53 @@
+// Offscreen Document - Notification Sounds
+// Service workers can't play audio, so background opens this page to chime
+// along with its desktop notifications. The tones are synthesized, no audio
+// files needed.
+
+// Notes per sound: [frequency in Hz, start in s, length in s]
+const SOUNDS = {
+	success: [
+		[660, 0, 0.15],
+		[880, 0.15, 0.3],
+	],
+	alert: [
+		[440, 0, 0.2],
+		[440, 0.3, 0.2],
+	],
+};
+
+/**
+ * Play one of the notification sounds
+ * @param {string} name - success or alert
+ */
+function playSound(name) {
+	const notes = SOUNDS[name] || SOUNDS.alert;
+	const context = new AudioContext();
+
+	notes.forEach(([frequency, start, length]) => {
+		const oscillator = context.createOscillator();
+		const gain = context.createGain();
+		const at = context.currentTime + start;
+
+		oscillator.type = "sine";
+		oscillator.frequency.value = frequency;
+		// Fade out so the note doesn't click
+		gain.gain.setValueAtTime(0.2, at);
+		gain.gain.exponentialRampToValueAtTime(0.001, at + length);
+
+		oscillator.connect(gain).connect(context.destination);
+		oscillator.start(at);
+		oscillator.stop(at + length);
+	});
+
+	const end = Math.max(...notes.map(([, start, length]) => start + length));
+	setTimeout(() => context.close(), (end + 0.1) * 1000);
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+	if (message.target !== "offscreen") return false;
+
+	if (message.action === "playSound") {
+		playSound(message.sound);
+	}
+	return false;
+});
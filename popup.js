@@ -6,12 +6,119 @@ const promptInput = document.getElementById("promptInput");
 const txtInput = document.getElementById("txtInput");
 const browseBtn = document.getElementById("browseBtn");
 const filePath = document.getElementById("filePath");
+const importReport = document.getElementById("importReport");
 const delayInput = document.getElementById("delayInput");
 const startBtn = document.getElementById("startBtn");
 const pauseBtn = document.getElementById("pauseBtn");
 const stopBtn = document.getElementById("stopBtn");
+const resumeFromInput = document.getElementById("resumeFromInput");
+const continueBtn = document.getElementById("continueBtn");
 const logsContainer = document.getElementById("logsContainer");
 const autoDownloadCheckbox = document.getElementById("autoDownloadCheckbox");
+const takesInput = document.getElementById("takesInput");
+const maxAttemptsInput = document.getElementById("maxAttemptsInput");
+const backoffInput = document.getElementById("backoffInput");
+const skipFailedCheckbox = document.getElementById("skipFailedCheckbox");
+const reopenTabsCheckbox = document.getElementById("reopenTabsCheckbox");
+const dismissAlertsCheckbox = document.getElementById("dismissAlertsCheckbox");
+const skipDownloadedCheckbox = document.getElementById("skipDownloadedCheckbox");
+const finishCurrentCheckbox = document.getElementById("finishCurrentCheckbox");
+
+// Notification preferences by event, read by background from
+// chrome.storage.local
+const notificationCheckboxes = {
+	finished: document.getElementById("notifyFinishedCheckbox"),
+	error: document.getElementById("notifyErrorCheckbox"),
+	credits: document.getElementById("notifyCreditsCheckbox"),
+	signedOut: document.getElementById("notifySignedOutCheckbox"),
+	rateLimited: document.getElementById("notifyRateLimitedCheckbox"),
+	sound: document.getElementById("notifySoundCheckbox"),
+};
+
+// Webhooks
+const webhookUrlsInput = document.getElementById("webhookUrlsInput");
+const webhookSecretInput = document.getElementById("webhookSecretInput");
+const webhookStatus = document.getElementById("webhookStatus");
+const saveWebhooksBtn = document.getElementById("saveWebhooksBtn");
+const testWebhookBtn = document.getElementById("testWebhookBtn");
+const concurrencyInput = document.getElementById("concurrencyInput");
+const workersContainer = document.getElementById("workersContainer");
+const addWorkerBtn = document.getElementById("addWorkerBtn");
+const removeWorkerBtn = document.getElementById("removeWorkerBtn");
+const batchNameInput = document.getElementById("batchNameInput");
+const startAtInput = document.getElementById("startAtInput");
+const scheduleWindowsInput = document.getElementById("scheduleWindowsInput");
+const scheduleStatus = document.getElementById("scheduleStatus");
+const applyScheduleBtn = document.getElementById("applyScheduleBtn");
+const creditCostInput = document.getElementById("creditCostInput");
+const creditBudgetInput = document.getElementById("creditBudgetInput");
+const creditEstimate = document.getElementById("creditEstimate");
+const checkCreditsBtn = document.getElementById("checkCreditsBtn");
+const filenamePatternInput = document.getElementById("filenamePatternInput");
+const imagesContainer = document.getElementById("imagesContainer");
+const addImagesBtn = document.getElementById("addImagesBtn");
+const removeImageBtn = document.getElementById("removeImageBtn");
+const imageFileInput = document.getElementById("imageFileInput");
+const referenceImageOptions = document.getElementById("referenceImageOptions");
+const queueContainer = document.getElementById("queueContainer");
+const queueSkipBtn = document.getElementById("queueSkipBtn");
+const queueEditBtn = document.getElementById("queueEditBtn");
+const queueJumpInput = document.getElementById("queueJumpInput");
+const queueJumpBtn = document.getElementById("queueJumpBtn");
+const queueInsertInput = document.getElementById("queueInsertInput");
+const queueInsertBtn = document.getElementById("queueInsertBtn");
+const failedContainer = document.getElementById("failedContainer");
+const requeueFailedBtn = document.getElementById("requeueFailedBtn");
+const exportJsonBtn = document.getElementById("exportJsonBtn");
+const exportCsvBtn = document.getElementById("exportCsvBtn");
+const historySearchInput = document.getElementById("historySearchInput");
+const historyRefreshBtn = document.getElementById("historyRefreshBtn");
+const historyContainer = document.getElementById("historyContainer");
+const historyRerunBtn = document.getElementById("historyRerunBtn");
+const historyRerunFailedBtn = document.getElementById("historyRerunFailedBtn");
+const historyCloneBtn = document.getElementById("historyCloneBtn");
+const historyCompareBtn = document.getElementById("historyCompareBtn");
+const historyDeleteBtn = document.getElementById("historyDeleteBtn");
+const historyDiffSummary = document.getElementById("historyDiffSummary");
+const historyDiff = document.getElementById("historyDiff");
+const profileInput = document.getElementById("profileInput");
+const profileStatus = document.getElementById("profileStatus");
+const profileImportBtn = document.getElementById("profileImportBtn");
+const profileExportBtn = document.getElementById("profileExportBtn");
+const profileResetBtn = document.getElementById("profileResetBtn");
+const profileSaveBtn = document.getElementById("profileSaveBtn");
+const profileFileInput = document.getElementById("profileFileInput");
+const profileModeSelect = document.getElementById("profileModeSelect");
+const modeSelect = document.getElementById("modeSelect");
+const templateModeSelect = document.getElementById("templateModeSelect");
+const sampleInput = document.getElementById("sampleInput");
+const seedInput = document.getElementById("seedInput");
+const templatePreview = document.getElementById("templatePreview");
+
+// Batch generation settings, by setting name
+const settingInputs = {
+	aspectRatio: document.getElementById("aspectRatioInput"),
+	resolution: document.getElementById("resolutionInput"),
+	duration: document.getElementById("durationInput"),
+	cameraAngle: document.getElementById("cameraAngleInput"),
+	cameraMotion: document.getElementById("cameraMotionInput"),
+	style: document.getElementById("styleInput"),
+	referenceImage: document.getElementById("referenceImageInput"),
+};
+
+// Built-in selector profiles (one per mode) from config.js
+const DEFAULT_SELECTOR_PROFILES = window.AUTO_SUBMIT_CONFIG.selectorProfiles;
+
+// Generation settings a selector profile may describe a control for
+const SETTING_NAMES = [
+	"aspectRatio",
+	"resolution",
+	"duration",
+	"cameraAngle",
+	"cameraMotion",
+	"style",
+	"seed",
+];
 
 // Status bar elements (3 fields in new UI)
 const statusBarFields = document.querySelectorAll('.status-bar-field');
@@ -82,280 +189,2046 @@ let currentState = {
 	state: "idle",
 	currentIndex: 0,
 	totalPrompts: 0,
+	completedCount: 0,
 	currentPrompt: "",
+	phase: "",
+	failedItems: [],
+	workers: [],
 };
 
+// Last rendered failed list, to avoid rebuilding it on every poll
+let renderedFailedKey = "";
+
+// Day names used by schedule windows, Sunday first like Date.getDay()
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Set once the schedule inputs show the schedule of a running batch
+let scheduleInputsLoaded = false;
+
+// Credit balance last read from Firefly (null if unknown), and how many
+// generations the prompts in the editor make
+let creditBalance = null;
+let plannedGenerations = 0;
+
+// Archived batch summaries shown in the history list, and the selected
+// ones (up to two, for Compare)
+let historyBatches = [];
+let selectedBatchIds = [];
+
+// Queue items shown in the queue editor, the revision of the state they
+// were fetched at, the selected item and the one being dragged
+let queueItems = [];
+let queueRevision = null;
+let selectedQueueItemId = null;
+let draggedQueueItemId = null;
+
+// Reference images in the library ({ name, type, size }), and the one
+// selected in the list
+let referenceImages = [];
+let selectedImageName = null;
+
+// Largest reference image accepted, Firefly rejects bigger uploads
+const MAX_REFERENCE_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Worker tab selected in the Tabs list, and the last rendered list
+let selectedWorkerTabId = null;
+let renderedWorkersKey = "";
+
+// Items loaded from a structured file, with their per-prompt settings.
+// Used instead of the prompt box as long as the box still shows them.
+let loadedItems = null;
+let loadedItemsText = "";
+let loadedErrorRows = 0;
+
 /**
- * Parse TXT file - one prompt per line
- * @param {File} file - TXT file object
- * @returns {Promise<string[]>} Array of prompts
+ * Get the batch generation settings that are filled in
+ * @returns {object} Setting values by name
  */
-async function parseTXT(file) {
-	return new Promise((resolve, reject) => {
-		const reader = new FileReader();
-
-		reader.onload = (e) => {
-			try {
-				const text = e.target.result;
-				const lines = text.split(/\r?\n/);
+function getGenerationSettings() {
+	const settings = {};
+	for (const [name, input] of Object.entries(settingInputs)) {
+		const value = input.value.trim();
+		if (value) settings[name] = value;
+	}
+	return settings;
+}
 
-				// Each line is a prompt, filter empty lines
-				const prompts = lines
-					.map((line) => line.trim())
-					.filter((line) => line.length > 0);
+/**
+ * Get the template expansion settings
+ * @returns {{ mode: string, sample: number, seed: number }}
+ */
+function getTemplateOptions() {
+	return {
+		mode: templateModeSelect.value,
+		// The input's max is only a hint; a huge sample would stall the preview
+		sample: Math.min(
+			Math.max(1, parseInt(sampleInput.value) || 1),
+			MAX_TEMPLATE_EXPANSION
+		),
+		seed: parseInt(seedInput.value) || 0,
+	};
+}
 
-				resolve(prompts);
-			} catch (error) {
-				reject(error);
-			}
-		};
+/**
+ * Parse the prompt box (one per line, templates expanded)
+ * @returns {{ items: object[], errors: object[], warnings: object[] }}
+ */
+function parseManualPrompts() {
+	const text = promptInput.value.trim();
+	if (!text) return { items: [], errors: [], warnings: [] };
 
-		reader.onerror = () => reject(reader.error);
-		reader.readAsText(file);
-	});
+	return parseTXT(text, getTemplateOptions());
 }
 
 /**
- * Get prompts from manual input (one per line)
- * @returns {string[]} Array of prompts
+ * Get prompt items from manual input (one per line)
+ * @returns {object[]} Array of prompt items
  */
 function getManualPrompts() {
-	const text = promptInput.value.trim();
-	if (!text) return [];
+	return parseManualPrompts().items;
+}
 
-	return text
-		.split(/\r?\n/)
-		.map((line) => line.trim())
-		.filter((line) => line.length > 0);
+/**
+ * Get the prompt items to run: the loaded file, or the prompt box
+ * @returns {object[]} Array of prompt items
+ */
+function getPromptItems() {
+	if (loadedItems && promptInput.value === loadedItemsText) {
+		return loadedItems;
+	}
+	return getManualPrompts();
 }
 
 /**
- * Update UI based on current state
+ * Show how many prompts the prompt box expands to
  */
-function updateUI() {
-	// Safety check
-	if (!statusBarMain || !statusBarProgress || !statusBarTime || !progressBar || !progressInfo) {
-		console.error('Missing UI elements');
+function updateTemplatePreview() {
+	const isRandom = templateModeSelect.value === "random";
+	sampleInput.disabled = !isRandom || templateModeSelect.disabled;
+	seedInput.disabled = !isRandom || templateModeSelect.disabled;
+
+	if (loadedItems && promptInput.value === loadedItemsText) {
+		plannedGenerations = countGenerations(loadedItems);
+		templatePreview.textContent = `${loadedItems.length} prompts from file${describeTakes(
+			loadedItems.length
+		)}`;
+		templatePreview.classList.remove("has-errors");
+		renderCreditEstimate();
 		return;
 	}
 
-	const isRunning = currentState.state === "running";
-	const isPaused = currentState.state === "paused";
-	const isIdle = currentState.state === "idle";
-	const isFinished = currentState.state === "finished";
+	const { items, errors } = parseManualPrompts();
+	plannedGenerations = countGenerations(items);
+	renderCreditEstimate();
+	let text = `${items.length} prompt${items.length === 1 ? "" : "s"}${describeTakes(
+		items.length
+	)}`;
+	if (errors.length > 0) {
+		const [first] = errors;
+		text += ` \u2014 line ${first.row}: ${first.message}`;
+		if (errors.length > 1) text += ` (+${errors.length - 1} more)`;
+	}
+	templatePreview.textContent = text;
+	templatePreview.title = errors
+		.map((entry) => `Line ${entry.row}: ${entry.message}`)
+		.join("\n");
+	templatePreview.classList.toggle("has-errors", errors.length > 0);
+}
 
-	// Update main status bar field with color coding
-	const stateText = currentState.state.charAt(0).toUpperCase() + currentState.state.slice(1);
-	statusBarMain.textContent = stateText;
-	statusBarMain.className = 'status-bar-field';
-	if (isRunning) statusBarMain.className += ' status-running';
-	else if (isPaused) statusBarMain.className += ' status-paused';
-	else if (currentState.state === 'error') statusBarMain.className += ' status-error';
+/**
+ * Get the number of takes of prompts without a count of their own
+ * @returns {number} Takes
+ */
+function getBatchTakes() {
+	return Math.min(100, Math.max(1, parseInt(takesInput.value) || 1));
+}
 
-	// Update progress status bar field
-	statusBarProgress.textContent = `${currentState.totalPrompts} prompts`;
+/**
+ * Count the generations prompt items make, takes included
+ * @param {object[]} items - Prompt items
+ * @returns {number} Generations
+ */
+function countGenerations(items) {
+	return items.reduce(
+		(total, item) => total + Math.max(1, parseInt(item.takes) || getBatchTakes()),
+		0
+	);
+}
 
-	// Update elapsed time
-	if (isRunning && !startTime) {
-		startTime = Date.now();
-	} else if (isIdle || isFinished) {
-		startTime = null;
-	}
-	if (startTime) {
-		const elapsed = Math.floor((Date.now() - startTime) / 1000);
-		const hours = Math.floor(elapsed / 3600).toString().padStart(2, '0');
-		const mins = Math.floor((elapsed % 3600) / 60).toString().padStart(2, '0');
-		const secs = (elapsed % 60).toString().padStart(2, '0');
-		statusBarTime.textContent = `${hours}:${mins}:${secs}`;
-	} else {
-		statusBarTime.textContent = '00:00:00';
-	}
+/**
+ * Describe how many generations the prompts make when takes add some
+ * @param {number} promptCount - Prompts
+ * @returns {string} e.g. " (9 takes)", empty when every prompt runs once
+ */
+function describeTakes(promptCount) {
+	return plannedGenerations !== promptCount ? ` (${plannedGenerations} takes)` : "";
+}
 
-	// Update progress bar and info
-	const percentage = currentState.totalPrompts > 0 
-		? Math.round((currentState.currentIndex / currentState.totalPrompts) * 100) 
-		: 0;
-	progressBar.style.width = `${percentage}%`;
-	progressInfo.innerHTML = `
-		<span>Processing: ${currentState.currentIndex} of ${currentState.totalPrompts} prompts</span>
-		<span>${percentage}%</span>
-	`;
+/**
+ * Get the credits one generation is estimated to cost
+ * The input wins; otherwise the selector profile of the chosen mode
+ * @returns {number} Credits
+ */
+function getCreditCost() {
+	const value = parseFloat(creditCostInput.value);
+	if (value >= 0) return value;
 
-	// Update button states
-	startBtn.disabled = isRunning;
-	pauseBtn.disabled = isIdle || isFinished;
-	stopBtn.disabled = isIdle || isFinished;
+	const mode = modeSelect.value === "image" ? "image" : "video";
+	return DEFAULT_SELECTOR_PROFILES[mode].creditCost || 0;
+}
 
-	// Update button text for pause/resume
-	if (isPaused) {
-		pauseBtn.innerHTML = '▶ Resume';
-	} else {
-		pauseBtn.innerHTML = '⏸ Pause';
+/**
+ * Show the estimated cost of the prompts, or what the batch has spent
+ */
+function renderCreditEstimate() {
+	const isActive = ["running", "paused"].includes(currentState.state);
+	const credits = currentState.credits;
+	const balance = isActive && credits && credits.balance !== null
+		? credits.balance
+		: creditBalance;
+	const balanceText = balance !== null ? `balance ${balance}` : "balance unknown";
+	creditCostInput.placeholder = String(getCreditCost());
+
+	if (isActive && credits) {
+		const budgetText = credits.budget !== null ? ` of budget ${credits.budget}` : "";
+		creditEstimate.textContent = `≈${credits.spent} spent${budgetText} · ${balanceText}`;
+		creditEstimate.classList.toggle("over-budget", currentState.pausedBy === "budget");
+		return;
 	}
 
-	// Disable inputs during operation
-	promptInput.disabled = isRunning || isPaused;
-	txtInput.disabled = isRunning || isPaused;
-	delayInput.disabled = isRunning || isPaused;
+	const estimate = plannedGenerations * getCreditCost();
+	const budget = parseFloat(creditBudgetInput.value);
+	creditEstimate.textContent = `≈${estimate} credits for ${plannedGenerations} generation${
+		plannedGenerations === 1 ? "" : "s"
+	} · ${balanceText}`;
+	creditEstimate.classList.toggle(
+		"over-budget",
+		(balance !== null && estimate > balance) || (budget > 0 && estimate > budget)
+	);
 }
 
 /**
- * Send message to background service worker
- * @param {object} message - Message object to send
- * @returns {Promise<any>} Response from background
+ * Read the credit balance from the Firefly tab
+ * @param {boolean} quiet - Don't log when the balance isn't found
  */
-async function sendToBackground(message) {
-	return new Promise((resolve, reject) => {
-		chrome.runtime.sendMessage(message, (response) => {
-			if (chrome.runtime.lastError) {
-				reject(chrome.runtime.lastError);
-			} else {
-				resolve(response);
-			}
-		});
-	});
+async function handleCheckCredits(quiet = false) {
+	try {
+		const response = await sendToBackground({ action: "getCredits" });
+		creditBalance = response.balance;
+		if (creditBalance === null && !quiet) {
+			addLog('warning', 'Credit balance not found, open Firefly in the active tab', new Date().toISOString());
+		}
+		renderCreditEstimate();
+	} catch (error) {
+		console.error("Credit check error:", error);
+	}
 }
 
 /**
- * Start automation process
+ * Show rows that failed validation when a file was loaded
+ * @param {object[]} errors - { row, message } of rows left out
+ * @param {object[]} warnings - { row, message } of ignored fields
  */
-async function handleStart() {
-	try {
-		// Get prompts from either manual input or CSV
-		let prompts = getManualPrompts();
+function renderImportReport(errors, warnings) {
+	importReport.querySelectorAll(".list-row").forEach((row) => row.remove());
+	importReport.style.display =
+		errors.length + warnings.length > 0 ? "" : "none";
 
-		if (prompts.length === 0) {
-			alert("Please enter prompts or upload a TXT file");
-			return;
+	const entries = [
+		...errors.map((entry) => ({ ...entry, level: "error" })),
+		...warnings.map((entry) => ({ ...entry, level: "warning" })),
+	].sort((a, b) => a.row - b.row);
+
+	for (const entry of entries) {
+		const row = document.createElement("div");
+		row.className = "list-row";
+
+		const cells = [
+			[String(entry.row), "list-cell"],
+			[entry.level === "error" ? "ERROR" : "WARN", `list-cell log-${entry.level === "error" ? "error" : "warn"}`],
+			[entry.message, "list-cell"],
+		];
+		for (const [text, className] of cells) {
+			const cell = document.createElement("div");
+			cell.className = className;
+			cell.textContent = text;
+			cell.title = text;
+			row.appendChild(cell);
 		}
 
-		// Get delay setting
-		const delay = parseInt(delayInput.value) || 1000;
+		importReport.appendChild(row);
+	}
+}
 
-		// Get auto-download setting
-		const autoDownload = autoDownloadCheckbox.checked;
+/**
+ * Render the worker tabs with what each is doing
+ * @param {object[]} workers - Workers from background state
+ */
+function renderWorkers(workers) {
+	if (!workers.some((worker) => worker.tabId === selectedWorkerTabId)) {
+		selectedWorkerTabId = null;
+	}
+	removeWorkerBtn.disabled = selectedWorkerTabId === null;
 
-		// Send start command to background
-		const response = await sendToBackground({
-			action: "start",
-			prompts: prompts,
-			delay: delay,
-			autoDownload: autoDownload,
-		});
+	const key = JSON.stringify([workers, selectedWorkerTabId]);
+	if (key === renderedWorkersKey) return;
+	renderedWorkersKey = key;
 
-		if (response.success) {
-			console.log("Automation started");
-		} else {
-			alert("Failed to start: " + (response.error || "Unknown error"));
+	workersContainer.querySelectorAll(".list-row").forEach((row) => row.remove());
+
+	for (const worker of workers) {
+		const row = document.createElement("div");
+		row.className = "list-row";
+		if (worker.tabId === selectedWorkerTabId) {
+			row.classList.add("selected");
 		}
-	} catch (error) {
-		console.error("Start error:", error);
-		alert("Error starting automation: " + error.message);
+
+		const prompt =
+			worker.index !== null ? `${worker.index + 1}: ${worker.prompt}` : "";
+		const cells = [
+			[String(worker.tabId), worker.title || ""],
+			[worker.status, worker.status],
+			[prompt, prompt],
+		];
+		cells.forEach(([text, title], i) => {
+			const cell = document.createElement("div");
+			cell.className =
+				i === 1 && worker.status !== "idle" ? "list-cell log-ok" : "list-cell";
+			cell.textContent = text;
+			cell.title = title;
+			row.appendChild(cell);
+		});
+
+		row.addEventListener("click", () => {
+			selectedWorkerTabId =
+				selectedWorkerTabId === worker.tabId ? null : worker.tabId;
+			renderWorkers(currentState.workers || []);
+		});
+		workersContainer.appendChild(row);
 	}
 }
 
 /**
- * Pause/Resume automation
+ * Add the active tab to the worker pool
  */
-async function handlePause() {
+async function handleAddWorker() {
 	try {
-		const action = currentState.state === "paused" ? "resume" : "pause";
-		const response = await sendToBackground({ action });
-
+		const response = await sendToBackground({ action: "addWorker" });
 		if (!response.success) {
-			alert(
-				"Failed to " + action + ": " + (response.error || "Unknown error")
-			);
+			alert("Failed to add tab: " + (response.error || "Unknown error"));
 		}
+		await requestStateUpdate();
 	} catch (error) {
-		console.error("Pause/Resume error:", error);
+		console.error("Add tab error:", error);
 		alert("Error: " + error.message);
 	}
 }
 
 /**
- * Stop automation
+ * Remove the selected tab from the worker pool
  */
-async function handleStop() {
-	try {
-		const response = await sendToBackground({ action: "stop" });
+async function handleRemoveWorker() {
+	if (selectedWorkerTabId === null) return;
 
-		if (!response.success) {
-			alert("Failed to stop: " + (response.error || "Unknown error"));
-		}
+	try {
+		await sendToBackground({ action: "removeWorker", tabId: selectedWorkerTabId });
+		selectedWorkerTabId = null;
+		await requestStateUpdate();
 	} catch (error) {
-		console.error("Stop error:", error);
+		console.error("Remove tab error:", error);
 		alert("Error: " + error.message);
 	}
 }
 
 /**
- * Request current state from background
+ * Load the reference image library from background
  */
-async function requestStateUpdate() {
+async function loadReferenceImages() {
 	try {
-		const response = await sendToBackground({ action: "getState" });
-		if (response.state) {
-			currentState = response.state;
-			updateUI();
-		}
+		const response = await sendToBackground({ action: "listReferenceImages" });
+		if (!response.success) throw new Error(response.error);
+		referenceImages = response.images;
+		renderReferenceImages();
 	} catch (error) {
-		console.error("State update error:", error);
+		console.error("Reference images error:", error);
 	}
 }
 
-// Event Listeners
+/**
+ * Render the reference image list and the names offered in Generation
+ * Settings
+ */
+function renderReferenceImages() {
+	if (!referenceImages.some((image) => image.name === selectedImageName)) {
+		selectedImageName = null;
+	}
+	removeImageBtn.disabled = selectedImageName === null;
 
-// Browse button - trigger file input
-browseBtn.addEventListener("click", () => {
-	console.log('Browse button clicked');
-	txtInput.click();
-});
+	imagesContainer.querySelectorAll(".list-row").forEach((row) => row.remove());
+	referenceImageOptions.replaceChildren();
 
-// TXT file selection
-txtInput.addEventListener("change", async (e) => {
-	console.log('File input changed', e.target.files);
-	const file = e.target.files[0];
+	for (const image of referenceImages) {
+		const row = document.createElement("div");
+		row.className = "list-row";
+		if (image.name === selectedImageName) {
+			row.classList.add("selected");
+		}
 
-	if (file) {
-		try {
-			console.log('Loading file:', file.name);
-			filePath.value = `Loading ${file.name}...`;
-			const prompts = await parseTXT(file);
-			console.log('Parsed prompts:', prompts.length);
+		const cells = [
+			`${Math.max(1, Math.round(image.size / 1024))} KB`,
+			(image.type || "").replace(/^image\//, "").toUpperCase(),
+			image.name,
+		];
+		cells.forEach((text) => {
+			const cell = document.createElement("div");
+			cell.className = "list-cell";
+			cell.textContent = text;
+			cell.title = text;
+			row.appendChild(cell);
+		});
 
-			// Update manual input with parsed prompts
-			promptInput.value = prompts.join("\n");
-			filePath.value = file.name;
-			filePath.title = `Loaded ${prompts.length} prompts from ${file.name}`;
-			
-			// Add success log
-			addLog('success', `Loaded ${prompts.length} prompts from ${file.name}`, new Date().toISOString());
+		row.addEventListener("click", () => {
+			selectedImageName = selectedImageName === image.name ? null : image.name;
+			renderReferenceImages();
+		});
+		imagesContainer.appendChild(row);
+
+		const option = document.createElement("option");
+		option.value = image.name;
+		referenceImageOptions.appendChild(option);
+	}
+}
+
+/**
+ * Read a file as a data URL
+ * @param {File} file - File
+ * @returns {Promise<string>} data: URL
+ */
+function readFileAsDataUrl(file) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(reader.result);
+		reader.onerror = () => reject(reader.error);
+		reader.readAsDataURL(file);
+	});
+}
+
+/**
+ * Add image files to the reference image library
+ * An image with the same name replaces the stored one
+ * @param {File[]} files - Picked files
+ */
+async function handleAddImages(files) {
+	for (const file of files) {
+		if (!file.type.startsWith("image/")) {
+			addLog('error', `${file.name} is not an image`, new Date().toISOString());
+			continue;
+		}
+		if (file.size > MAX_REFERENCE_IMAGE_BYTES) {
+			addLog('error', `${file.name} is larger than 10 MB`, new Date().toISOString());
+			continue;
+		}
+
+		try {
+			const response = await sendToBackground({
+				action: "saveReferenceImage",
+				image: {
+					name: file.name,
+					type: file.type,
+					dataUrl: await readFileAsDataUrl(file),
+				},
+			});
+			if (!response.success) throw new Error(response.error);
+			addLog('success', `Added reference image ${file.name}`, new Date().toISOString());
 		} catch (error) {
-			console.error("TXT parse error:", error);
-			filePath.value = "Error loading file";
-			filePath.title = error.message;
-			alert("Failed to parse TXT: " + error.message);
-			addLog('error', `Failed to load file: ${error.message}`, new Date().toISOString());
+			console.error("Add image error:", error);
+			addLog('error', `Could not add ${file.name}: ${error.message}`, new Date().toISOString());
 		}
-	} else {
-		console.log('No file selected');
-		filePath.value = "";
-		filePath.placeholder = "No file selected";
 	}
-});
+	await loadReferenceImages();
+}
 
-// Control buttons
-startBtn.addEventListener("click", handleStart);
-pauseBtn.addEventListener("click", handlePause);
-stopBtn.addEventListener("click", handleStop);
+/**
+ * Remove the selected image from the reference image library
+ */
+async function handleRemoveImage() {
+	if (selectedImageName === null) return;
+
+	try {
+		await sendToBackground({
+			action: "deleteReferenceImage",
+			name: selectedImageName,
+		});
+		selectedImageName = null;
+		await loadReferenceImages();
+	} catch (error) {
+		console.error("Remove image error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * List the reference images prompts ask for that aren't in the library
+ * @param {object[]} items - Prompt items
+ * @param {object} settings - Batch generation settings
+ * @returns {string[]} Missing image names
+ */
+function getMissingReferenceImages(items, settings) {
+	const names = new Set(
+		items.map((item) => item.referenceImage || settings.referenceImage).filter(Boolean)
+	);
+	return [...names].filter(
+		(name) => !referenceImages.some((image) => image.name === name)
+	);
+}
+
+/**
+ * Fetch the queue again when the batch changed since the last fetch
+ */
+async function loadQueue() {
+	if (currentState.queueRevision === queueRevision) return;
+	queueRevision = currentState.queueRevision;
+
+	try {
+		const response = await sendToBackground({ action: "getQueue" });
+		if (!response.success) throw new Error(response.error);
+		queueItems = response.items;
+		renderQueue();
+	} catch (error) {
+		console.error("Queue error:", error);
+		queueRevision = null;
+	}
+}
+
+/**
+ * Render the queue editor list
+ */
+function renderQueue() {
+	const statusClasses = {
+		submitting: "log-ok",
+		generating: "log-ok",
+		downloading: "log-ok",
+		failed: "log-error",
+		skipped: "log-warn",
+		cancelled: "log-warn",
+	};
+
+	queueContainer.querySelectorAll(".list-row").forEach((row) => row.remove());
+
+	for (const item of queueItems) {
+		const row = document.createElement("div");
+		row.className = "list-row";
+		if (item.id === selectedQueueItemId) {
+			row.classList.add("selected");
+		}
+
+		const prompt = item.take ? `${item.prompt} ${item.take}` : item.prompt;
+		const cells = [
+			[String(item.index + 1), ""],
+			[item.status, item.error || item.status],
+			[prompt, prompt],
+		];
+		cells.forEach(([text, title], i) => {
+			const cell = document.createElement("div");
+			cell.className =
+				i === 1 && statusClasses[item.status]
+					? `list-cell ${statusClasses[item.status]}`
+					: "list-cell";
+			cell.textContent = text;
+			cell.title = title;
+			row.appendChild(cell);
+		});
+
+		row.addEventListener("click", () => {
+			selectedQueueItemId = selectedQueueItemId === item.id ? null : item.id;
+			if (selectedQueueItemId) queueJumpInput.value = item.index + 1;
+			renderQueue();
+		});
+
+		// Only pending prompts can be dragged; any row is a drop target
+		if (item.status === "pending") {
+			row.draggable = true;
+			row.addEventListener("dragstart", (e) => {
+				draggedQueueItemId = item.id;
+				e.dataTransfer.effectAllowed = "move";
+			});
+		}
+		row.addEventListener("dragover", (e) => {
+			if (!draggedQueueItemId) return;
+			e.preventDefault();
+			row.classList.add("drop-target");
+		});
+		row.addEventListener("dragleave", () => row.classList.remove("drop-target"));
+		row.addEventListener("drop", (e) => {
+			e.preventDefault();
+			row.classList.remove("drop-target");
+			const itemId = draggedQueueItemId;
+			draggedQueueItemId = null;
+			if (itemId && itemId !== item.id) {
+				sendQueueAction({ action: "moveQueueItem", itemId: itemId, toIndex: item.index });
+			}
+		});
+		row.addEventListener("dragend", () => {
+			draggedQueueItemId = null;
+		});
+
+		queueContainer.appendChild(row);
+	}
+
+	updateQueueButtons();
+}
+
+/**
+ * Enable the queue editor actions that apply to the selected prompt
+ */
+function updateQueueButtons() {
+	const isActive = ["running", "paused"].includes(currentState.state);
+	const selected = queueItems.find((item) => item.id === selectedQueueItemId);
+	if (!selected) selectedQueueItemId = null;
+
+	queueSkipBtn.textContent = selected && selected.status === "skipped" ? "Unskip" : "Skip";
+	queueSkipBtn.disabled =
+		!isActive || !selected || !["pending", "skipped"].includes(selected.status);
+	queueEditBtn.disabled = !isActive || !selected || selected.status !== "pending";
+	queueJumpBtn.disabled = !isActive || !queueJumpInput.value;
+	queueInsertBtn.disabled = !isActive || !queueInsertInput.value.trim();
+}
+
+/**
+ * Send a queue editor action to background
+ * @param {object} message - Queue action message
+ * @returns {Promise<boolean>} True if background applied it
+ */
+async function sendQueueAction(message) {
+	try {
+		const response = await sendToBackground(message);
+		if (!response.success) {
+			alert(response.error || "Queue change failed");
+			return false;
+		}
+		await requestStateUpdate();
+		return true;
+	} catch (error) {
+		console.error("Queue action error:", error);
+		alert("Error: " + error.message);
+		return false;
+	}
+}
+
+/**
+ * Edit the selected pending prompt
+ */
+async function handleQueueEdit() {
+	const item = queueItems.find((item) => item.id === selectedQueueItemId);
+	if (!item) return;
+
+	const prompt = window.prompt(`Edit prompt ${item.index + 1}:`, item.prompt);
+	if (prompt === null || prompt.trim() === item.prompt) return;
+	await sendQueueAction({ action: "editQueueItem", itemId: item.id, prompt: prompt });
+}
+
+/**
+ * Run the prompt at the "Jump to" position next
+ */
+async function handleQueueJump() {
+	const item = queueItems[parseInt(queueJumpInput.value) - 1];
+	if (!item) {
+		alert(`There is no prompt ${queueJumpInput.value} in the queue`);
+		return;
+	}
+	await sendQueueAction({ action: "jumpToQueueItem", itemId: item.id });
+}
+
+/**
+ * Insert the prompts typed below the queue, after the selected prompt or
+ * at the end
+ */
+async function handleQueueInsert() {
+	const { items, errors } = parseTXT(queueInsertInput.value, getTemplateOptions());
+	if (errors.length > 0) {
+		alert(errors.map((entry) => `Line ${entry.row}: ${entry.message}`).join("\n"));
+		return;
+	}
+
+	const selected = queueItems.find((item) => item.id === selectedQueueItemId);
+	const inserted = await sendQueueAction({
+		action: "insertQueueItems",
+		items: items,
+		index: selected ? selected.index + 1 : null,
+	});
+	if (inserted) {
+		queueInsertInput.value = "";
+		updateQueueButtons();
+	}
+}
+
+/**
+ * Render the failed prompts bucket
+ * @param {object[]} failedItems - Failed items from background state
+ */
+function renderFailedItems(failedItems) {
+	const key = JSON.stringify(failedItems);
+	if (key === renderedFailedKey) return;
+	renderedFailedKey = key;
+
+	failedContainer.querySelectorAll(".list-row").forEach((row) => row.remove());
+
+	for (const failed of failedItems) {
+		const row = document.createElement("div");
+		row.className = "list-row";
+
+		const cells = [
+			String(failed.index + 1),
+			failed.errorType || "unknown",
+			failed.prompt,
+		];
+		cells.forEach((text, i) => {
+			const cell = document.createElement("div");
+			cell.className = i === 1 ? "list-cell log-error" : "list-cell";
+			cell.textContent = text;
+			cell.title = i === 1 ? failed.error || "" : text;
+			row.appendChild(cell);
+		});
+
+		failedContainer.appendChild(row);
+	}
+
+	requeueFailedBtn.disabled = failedItems.length === 0;
+}
+
+/**
+ * Parse a day list like "Mon-Fri" or "Sat,Sun"
+ * @param {string} text - Day names or ranges, separated by commas
+ * @returns {number[]|null} Day numbers (0 = Sunday), or null if unknown
+ */
+function parseScheduleDays(text) {
+	const days = new Set();
+	const dayIndex = (name) =>
+		DAY_NAMES.findIndex((day) => name.trim().toLowerCase().startsWith(day.toLowerCase()));
+
+	for (const token of text.split(",").map((part) => part.trim()).filter(Boolean)) {
+		const [from, to = from] = token.split("-").map(dayIndex);
+		if (from === -1 || to === -1) return null;
+		for (let day = from; ; day = (day + 1) % 7) {
+			days.add(day);
+			if (day === to) break;
+		}
+	}
+	return [...days].sort();
+}
+
+// 00:00-23:59, or 24:00 to end a window at midnight; must match
+// CLOCK_PATTERN in background.js
+const CLOCK_PATTERN = /^(?:(?:[01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * Parse schedule windows like "Mon-Fri 22:00-06:00; Sat,Sun 00:00-24:00"
+ * Days are optional (every day); an end before the start runs past midnight
+ * @param {string} text - Windows separated by ";" or new lines
+ * @returns {object} { windows, errors }
+ */
+function parseScheduleWindows(text) {
+	const windows = [];
+	const errors = [];
+	const pad = (clock) => clock.padStart(5, "0");
+
+	text
+		.split(/[;\n]/)
+		.map((part) => part.trim())
+		.filter(Boolean)
+		.forEach((part) => {
+			const match = part.match(/^(?:(.+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+			const days = match && (match[1] ? parseScheduleDays(match[1]) : [0, 1, 2, 3, 4, 5, 6]);
+			const clocks = match ? [pad(match[2]), pad(match[3])] : [];
+			if (!match || !days || days.length === 0) {
+				errors.push(`"${part}" is not like Mon-Fri 22:00-06:00`);
+			} else if (!clocks.every((clock) => CLOCK_PATTERN.test(clock))) {
+				errors.push(`"${part}" has an invalid time`);
+			} else {
+				windows.push({ days: days, start: clocks[0], end: clocks[1] });
+			}
+		});
+
+	return { windows, errors };
+}
+
+/**
+ * Format schedule windows back into the text the input accepts
+ * @param {object[]} windows - Schedule windows
+ * @returns {string} Text
+ */
+function formatScheduleWindows(windows) {
+	return windows
+		.map((window) => {
+			if (window.days.length === 7) {
+				return `${window.start}-${window.end}`;
+			}
+
+			// Consecutive days as ranges: Mon-Fri
+			const ranges = [];
+			window.days.forEach((day) => {
+				const last = ranges[ranges.length - 1];
+				if (last && day === last[1] + 1) last[1] = day;
+				else ranges.push([day, day]);
+			});
+			const days = ranges
+				.map(([from, to]) =>
+					from === to ? DAY_NAMES[from] : `${DAY_NAMES[from]}-${DAY_NAMES[to]}`
+				)
+				.join(",");
+			return `${days} ${window.start}-${window.end}`;
+		})
+		.join("; ");
+}
+
+/**
+ * Read the schedule inputs
+ * @returns {object} { schedule, errors }; schedule is null when empty
+ */
+function getSchedule() {
+	const { windows, errors } = parseScheduleWindows(scheduleWindowsInput.value);
+	// datetime-local values have no offset and parse as local time
+	const startAt = startAtInput.value
+		? new Date(startAtInput.value).toISOString()
+		: null;
+
+	if (!startAt && windows.length === 0) {
+		return { schedule: null, errors };
+	}
+	return { schedule: { startAt: startAt, windows: windows }, errors };
+}
+
+/**
+ * Show the schedule state of the batch, or check the inputs when idle
+ */
+function renderScheduleStatus() {
+	const isActive = ["running", "paused"].includes(currentState.state);
+	const schedule = currentState.schedule;
+	const next = currentState.nextScheduleChange
+		? new Date(currentState.nextScheduleChange).toLocaleString([], {
+				weekday: "short",
+				hour: "2-digit",
+				minute: "2-digit",
+		  })
+		: null;
+
+	scheduleStatus.className = "schedule-status";
+	if (isActive && schedule) {
+		if (currentState.pausedBy === "schedule") {
+			scheduleStatus.textContent = next
+				? `Waiting for the schedule, resumes ${next}`
+				: "Waiting for the schedule, no window in the next week";
+		} else {
+			scheduleStatus.textContent = next
+				? `Inside the schedule until ${next}`
+				: "Inside the schedule";
+		}
+		return;
+	}
+
+	const { schedule: draft, errors } = getSchedule();
+	if (errors.length > 0) {
+		scheduleStatus.className += " has-errors";
+		scheduleStatus.textContent = errors.join("; ");
+	} else if (!draft) {
+		scheduleStatus.textContent = "Runs right away";
+	} else {
+		const parts = [];
+		if (draft.startAt) parts.push(`starts ${new Date(draft.startAt).toLocaleString()}`);
+		if (draft.windows.length > 0) parts.push(`runs only ${formatScheduleWindows(draft.windows)}`);
+		scheduleStatus.textContent = parts.join(", ");
+	}
+}
+
+/**
+ * Send the edited schedule to the running batch
+ */
+async function handleApplySchedule() {
+	const { schedule, errors } = getSchedule();
+	if (errors.length > 0) {
+		alert("Fix the schedule first:\n" + errors.join("\n"));
+		return;
+	}
+
+	try {
+		const response = await sendToBackground({
+			action: "updateSchedule",
+			schedule: schedule,
+		});
+		if (!response.success) {
+			alert("Failed to apply schedule: " + (response.error || "Unknown error"));
+		}
+	} catch (error) {
+		console.error("Schedule error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Update UI based on current state
+ */
+function updateUI() {
+	// Safety check
+	if (!statusBarMain || !statusBarProgress || !statusBarTime || !progressBar || !progressInfo) {
+		console.error('Missing UI elements');
+		return;
+	}
+
+	const isRunning = currentState.state === "running";
+	const isPaused = currentState.state === "paused";
+	const canContinue =
+		["stopped", "finished", "error"].includes(currentState.state) &&
+		currentState.totalPrompts > 0;
+
+	// Update main status bar field with color coding
+	let stateText = currentState.state.charAt(0).toUpperCase() + currentState.state.slice(1);
+	if (isRunning && currentState.phase) {
+		stateText += ` (${currentState.phase})`;
+	} else if (isPaused && currentState.pausedBy) {
+		const reasons = {
+			schedule: "schedule",
+			credits: "out of credits",
+			budget: "budget reached",
+			signed_out: "signed out",
+			rate_limit: "rate limited",
+			no_tabs: "no tab",
+		};
+		if (reasons[currentState.pausedBy]) stateText += ` (${reasons[currentState.pausedBy]})`;
+	} else if (isRunning && currentState.cooldownUntil > Date.now()) {
+		stateText += " (cooling down)";
+	}
+	statusBarMain.textContent = stateText;
+	statusBarMain.className = 'status-bar-field';
+	if (isRunning) statusBarMain.className += ' status-running';
+	else if (isPaused) statusBarMain.className += ' status-paused';
+	else if (currentState.state === 'error') statusBarMain.className += ' status-error';
+
+	// Update progress status bar field
+	statusBarProgress.textContent = `${currentState.totalPrompts} prompts`;
+
+	// Update elapsed time
+	if (isRunning && !startTime) {
+		startTime = Date.now();
+	} else if (!isRunning && !isPaused) {
+		startTime = null;
+	}
+	if (startTime) {
+		const elapsed = Math.floor((Date.now() - startTime) / 1000);
+		const hours = Math.floor(elapsed / 3600).toString().padStart(2, '0');
+		const mins = Math.floor((elapsed % 3600) / 60).toString().padStart(2, '0');
+		const secs = (elapsed % 60).toString().padStart(2, '0');
+		statusBarTime.textContent = `${hours}:${mins}:${secs}`;
+	} else {
+		statusBarTime.textContent = '00:00:00';
+	}
+
+	// Update progress bar and info
+	const completedCount = currentState.completedCount || 0;
+	const percentage = currentState.totalPrompts > 0 
+		? Math.round((completedCount / currentState.totalPrompts) * 100) 
+		: 0;
+	progressBar.style.width = `${percentage}%`;
+	progressInfo.innerHTML = `
+		<span>Processing: ${completedCount} of ${currentState.totalPrompts} prompts</span>
+		<span>${percentage}%</span>
+	`;
+
+	// Update button states
+	startBtn.disabled = isRunning;
+	pauseBtn.disabled = !isRunning && !isPaused;
+	stopBtn.disabled = !isRunning && !isPaused;
+	continueBtn.disabled = !canContinue;
+	resumeFromInput.disabled = !canContinue;
+	resumeFromInput.max = currentState.totalPrompts;
+	resumeFromInput.placeholder = canContinue
+		? String(Math.min(currentState.currentIndex, currentState.totalPrompts - 1) + 1)
+		: "";
+	exportJsonBtn.disabled = currentState.totalPrompts === 0;
+	exportCsvBtn.disabled = currentState.totalPrompts === 0;
+
+	// Update button text for pause/resume
+	if (isPaused) {
+		pauseBtn.innerHTML = '▶ Resume';
+	} else {
+		pauseBtn.innerHTML = '⏸ Pause';
+	}
+
+	// Disable inputs during operation
+	promptInput.disabled = isRunning || isPaused;
+	txtInput.disabled = isRunning || isPaused;
+	delayInput.disabled = isRunning || isPaused;
+	modeSelect.disabled = isRunning || isPaused;
+	maxAttemptsInput.disabled = isRunning || isPaused;
+	backoffInput.disabled = isRunning || isPaused;
+	skipFailedCheckbox.disabled = isRunning || isPaused;
+	reopenTabsCheckbox.disabled = isRunning || isPaused;
+	dismissAlertsCheckbox.disabled = isRunning || isPaused;
+	skipDownloadedCheckbox.disabled = isRunning || isPaused;
+	templateModeSelect.disabled = isRunning || isPaused;
+	concurrencyInput.disabled = isRunning || isPaused;
+	takesInput.disabled = isRunning || isPaused;
+	batchNameInput.disabled = isRunning || isPaused;
+	filenamePatternInput.disabled = isRunning || isPaused;
+	creditCostInput.disabled = isRunning || isPaused;
+	creditBudgetInput.disabled = isRunning || isPaused;
+	Object.values(settingInputs).forEach((input) => {
+		input.disabled = isRunning || isPaused;
+	});
+	sampleInput.disabled = isRunning || isPaused || templateModeSelect.value !== "random";
+	seedInput.disabled = isRunning || isPaused || templateModeSelect.value !== "random";
+
+	applyScheduleBtn.disabled = !isRunning && !isPaused;
+
+	// Show the running batch's schedule once, then leave the inputs to the user
+	if ((isRunning || isPaused) && !scheduleInputsLoaded) {
+		scheduleInputsLoaded = true;
+		const schedule = currentState.schedule;
+		if (schedule) {
+			const startAt = schedule.startAt ? new Date(schedule.startAt) : null;
+			startAtInput.value = startAt
+				? new Date(startAt.getTime() - startAt.getTimezoneOffset() * 60000)
+						.toISOString()
+						.slice(0, 16)
+				: "";
+			scheduleWindowsInput.value = formatScheduleWindows(schedule.windows);
+		}
+	} else if (!isRunning && !isPaused) {
+		scheduleInputsLoaded = false;
+	}
+
+	renderFailedItems(currentState.failedItems || []);
+	renderWorkers(currentState.workers || []);
+	updateQueueButtons();
+	loadQueue();
+	renderScheduleStatus();
+	renderCreditEstimate();
+}
+
+/**
+ * Send message to background service worker
+ * @param {object} message - Message object to send
+ * @returns {Promise<any>} Response from background
+ */
+async function sendToBackground(message) {
+	return new Promise((resolve, reject) => {
+		chrome.runtime.sendMessage(message, (response) => {
+			if (chrome.runtime.lastError) {
+				reject(chrome.runtime.lastError);
+			} else {
+				resolve(response);
+			}
+		});
+	});
+}
+
+/**
+ * Start automation process
+ */
+async function handleStart() {
+	try {
+		// Get prompts from either manual input or a loaded file
+		let items = getPromptItems();
+
+		if (items.length === 0) {
+			alert("Please enter prompts or load a prompt file");
+			return;
+		}
+
+		if (items === loadedItems && loadedErrorRows > 0) {
+			const proceed = confirm(
+				`${loadedErrorRows} invalid row(s) from the file will be skipped. Start with ${items.length} prompts?`
+			);
+			if (!proceed) return;
+		}
+
+		if (items !== loadedItems) {
+			const { errors } = parseManualPrompts();
+			if (errors.length > 0) {
+				const proceed = confirm(
+					`${errors.length} template line(s) could not be expanded and will be skipped. Start with ${items.length} prompts?`
+				);
+				if (!proceed) return;
+			}
+		}
+
+		const { schedule, errors: scheduleErrors } = getSchedule();
+		if (scheduleErrors.length > 0) {
+			alert("Fix the schedule first:\n" + scheduleErrors.join("\n"));
+			return;
+		}
+
+		// Prompts whose reference image is missing would fail one by one
+		const settings = getGenerationSettings();
+		const missingImages = getMissingReferenceImages(items, settings);
+		if (missingImages.length > 0) {
+			const proceed = confirm(
+				`Reference images not in the library: ${missingImages.join(", ")}. Prompts using them will fail. Start anyway?`
+			);
+			if (!proceed) return;
+		}
+
+		// Warn before starting a batch the balance can't cover
+		const creditCost = getCreditCost();
+		const estimate = countGenerations(items) * creditCost;
+		if (creditBalance !== null && estimate > creditBalance) {
+			const proceed = confirm(
+				`This batch needs about ${estimate} credits but the balance is ${creditBalance}. Start anyway?`
+			);
+			if (!proceed) return;
+		}
+
+		// Get delay setting
+		const delay = parseInt(delayInput.value) || 1000;
+
+		// Get auto-download setting
+		const autoDownload = autoDownloadCheckbox.checked;
+
+		// Get retry settings
+		const maxAttempts = Math.max(1, parseInt(maxAttemptsInput.value) || 3);
+		const backoffMs = parseInt(backoffInput.value) || 5000;
+
+		// Send start command to background
+		const response = await sendToBackground({
+			action: "start",
+			items: items,
+			delay: delay,
+			autoDownload: autoDownload,
+			mode: modeSelect.value,
+			retryPolicy: { maxAttempts: maxAttempts, backoffMs: backoffMs },
+			failureMode: skipFailedCheckbox.checked ? "skip" : "stop",
+			settings: settings,
+			concurrency: Math.max(1, parseInt(concurrencyInput.value) || 1),
+			takes: getBatchTakes(),
+			reopenTabs: reopenTabsCheckbox.checked,
+			dismissAlerts: dismissAlertsCheckbox.checked,
+			skipDownloaded: skipDownloadedCheckbox.checked,
+			schedule: schedule,
+			creditCost: creditCost,
+			creditBudget: parseFloat(creditBudgetInput.value) || null,
+			batchName: batchNameInput.value.trim(),
+			filenamePattern: filenamePatternInput.value.trim(),
+		});
+
+		if (response.success) {
+			console.log("Automation started");
+		} else {
+			alert("Failed to start: " + (response.error || "Unknown error"));
+		}
+	} catch (error) {
+		console.error("Start error:", error);
+		alert("Error starting automation: " + error.message);
+	}
+}
+
+/**
+ * Continue the stopped batch, from the "Resume from" position if one is set
+ */
+async function handleContinue() {
+	try {
+		const from = parseInt(resumeFromInput.value);
+		const response = await sendToBackground({
+			action: "continue",
+			fromIndex: from > 0 ? from - 1 : null,
+		});
+		if (response.success) {
+			resumeFromInput.value = "";
+		} else {
+			alert("Failed to continue: " + (response.error || "Unknown error"));
+		}
+	} catch (error) {
+		console.error("Continue error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Pause/Resume automation
+ */
+async function handlePause() {
+	try {
+		const action = currentState.state === "paused" ? "resume" : "pause";
+		const response = await sendToBackground({
+			action,
+			immediate: !finishCurrentCheckbox.checked,
+		});
+
+		if (!response.success) {
+			alert(
+				"Failed to " + action + ": " + (response.error || "Unknown error")
+			);
+		}
+	} catch (error) {
+		console.error("Pause/Resume error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Stop automation
+ */
+async function handleStop() {
+	try {
+		const response = await sendToBackground({ action: "stop" });
+
+		if (!response.success) {
+			alert("Failed to stop: " + (response.error || "Unknown error"));
+		}
+	} catch (error) {
+		console.error("Stop error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Re-queue all failed prompts
+ */
+async function handleRequeueFailed() {
+	try {
+		const response = await sendToBackground({ action: "requeueFailed" });
+
+		if (!response.success) {
+			alert("Failed to re-queue: " + (response.error || "Unknown error"));
+		}
+	} catch (error) {
+		console.error("Re-queue error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Validate a selector profile before saving it
+ * @param {object} profile - Parsed profile
+ * @param {string} mode - Mode the profile is for (video, image)
+ * @returns {string[]} Validation errors, empty if valid
+ */
+function validateSelectorProfile(profile, mode) {
+	if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+		return ["Profile must be a JSON object"];
+	}
+	if (!profile.targets || typeof profile.targets !== "object") {
+		return ['Profile needs a "targets" object'];
+	}
+
+	const errors = [];
+	if (
+		profile.creditCost !== undefined &&
+		!(typeof profile.creditCost === "number" && profile.creditCost >= 0)
+	) {
+		errors.push('"creditCost" must be a number of credits');
+	}
+
+	const knownTargets = Object.keys(DEFAULT_SELECTOR_PROFILES[mode].targets);
+	for (const [name, path] of Object.entries(profile.targets)) {
+		if (!knownTargets.includes(name)) {
+			errors.push(`Unknown target "${name}"`);
+			continue;
+		}
+		errors.push(...validateSelectorPath(`Target "${name}"`, path));
+	}
+
+	if (profile.settings !== undefined) {
+		if (!profile.settings || typeof profile.settings !== "object") {
+			return errors.concat(['"settings" must be an object']);
+		}
+		for (const [name, setting] of Object.entries(profile.settings)) {
+			if (!SETTING_NAMES.includes(name)) {
+				errors.push(`Unknown setting "${name}"`);
+				continue;
+			}
+			if (!setting || !["picker", "buttons", "field"].includes(setting.type)) {
+				errors.push(`Setting "${name}" needs a type: picker, buttons or field`);
+				continue;
+			}
+			errors.push(...validateSelectorPath(`Setting "${name}"`, setting.path));
+			if (setting.option !== undefined) {
+				errors.push(...validateSelectorPath(`Setting "${name}" option`, setting.option));
+			}
+		}
+	}
+	return errors;
+}
+
+/**
+ * Validate a ">>>" selector path
+ * @param {string} label - What the path belongs to, for messages
+ * @param {string|string[]} path - "a >>> b" or ["a", "b"]
+ * @returns {string[]} Problems found, empty if valid
+ */
+function validateSelectorPath(label, path) {
+	const errors = [];
+	// Same step syntax as the content script: "a >>> b" or ["a", "b"]
+	const steps = (Array.isArray(path) ? path : [path]).flatMap((part) =>
+		typeof part === "string" ? part.split(">>>") : [part]
+	);
+	if (steps.length === 0) {
+		return [`${label} must be a ">>>" path or an array of selectors`];
+	}
+	steps.forEach((step, i) => {
+		if (typeof step !== "string" || !step.trim()) {
+			errors.push(`${label} step ${i + 1} is empty`);
+			return;
+		}
+		try {
+			document.createDocumentFragment().querySelector(step);
+		} catch (error) {
+			errors.push(`${label} step ${i + 1} is not a valid selector`);
+		}
+	});
+	return errors;
+}
+
+/**
+ * Get the custom selector profiles saved from the side panel
+ * @returns {Promise<object>} Custom profiles by mode
+ */
+async function getCustomProfiles() {
+	const stored = await chrome.storage.local.get([
+		"selectorProfiles",
+		"selectorProfile",
+	]);
+	const profiles = stored.selectorProfiles || {};
+
+	// Profiles saved before image mode existed were video profiles
+	if (stored.selectorProfile) {
+		profiles.video = profiles.video || stored.selectorProfile;
+		await chrome.storage.local.set({ selectorProfiles: profiles });
+		await chrome.storage.local.remove("selectorProfile");
+	}
+
+	return profiles;
+}
+
+/**
+ * Show the saved notification preferences; unsaved ones keep the defaults
+ */
+async function loadNotificationSettings() {
+	const { notificationSettings } = await chrome.storage.local.get(
+		"notificationSettings"
+	);
+	Object.entries(notificationCheckboxes).forEach(([event, checkbox]) => {
+		if (notificationSettings && typeof notificationSettings[event] === "boolean") {
+			checkbox.checked = notificationSettings[event];
+		}
+	});
+}
+
+/**
+ * Save the notification preferences for background
+ */
+async function saveNotificationSettings() {
+	const notificationSettings = {};
+	Object.entries(notificationCheckboxes).forEach(([event, checkbox]) => {
+		notificationSettings[event] = checkbox.checked;
+	});
+	await chrome.storage.local.set({ notificationSettings });
+}
+
+/**
+ * Show the saved webhook URLs and secret
+ */
+async function loadWebhookSettings() {
+	const { webhookSettings } = await chrome.storage.local.get("webhookSettings");
+	const settings = webhookSettings || {};
+	webhookUrlsInput.value = (settings.urls || []).join("\n");
+	webhookSecretInput.value = settings.secret || "";
+	renderWebhookStatus(settings.urls || []);
+}
+
+/**
+ * Show how many webhook URLs are saved
+ * @param {string[]} urls - Saved URLs
+ */
+function renderWebhookStatus(urls) {
+	webhookStatus.textContent =
+		urls.length > 0 ? `${urls.length} webhook URL(s) saved` : "No webhooks";
+}
+
+/**
+ * Validate and save the webhook URLs and secret
+ * Access to each URL's host is asked for first, while the click still
+ * counts as a user gesture
+ */
+async function handleSaveWebhooks() {
+	const urls = webhookUrlsInput.value
+		.split("\n")
+		.map((line) => line.trim())
+		.filter(Boolean);
+	const invalid = urls.filter((url) => {
+		try {
+			return !["http:", "https:"].includes(new URL(url).protocol);
+		} catch (error) {
+			return true;
+		}
+	});
+	if (invalid.length > 0) {
+		alert("Not an http(s) URL:\n" + invalid.join("\n"));
+		return;
+	}
+
+	try {
+		// Match patterns leave out the port, so localhost:8080 is localhost
+		const origins = [
+			...new Set(
+				urls.map((url) => {
+					const { protocol, hostname } = new URL(url);
+					return `${protocol}//${hostname}/*`;
+				})
+			),
+		];
+		if (origins.length > 0 && !(await chrome.permissions.request({ origins }))) {
+			alert("Webhooks need access to their hosts to post to them");
+			return;
+		}
+
+		await chrome.storage.local.set({
+			webhookSettings: { urls: urls, secret: webhookSecretInput.value },
+		});
+		renderWebhookStatus(urls);
+	} catch (error) {
+		console.error("Webhook save error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Send a test event to the saved webhook URLs
+ */
+async function handleTestWebhook() {
+	testWebhookBtn.disabled = true;
+	webhookStatus.textContent = "Sending test...";
+	try {
+		const response = await sendToBackground({ action: "testWebhook" });
+		if (response.success) {
+			webhookStatus.textContent = `Test delivered to ${response.delivered} URL(s)`;
+		} else {
+			webhookStatus.textContent = "Test failed";
+			alert("Webhook test failed:\n" + (response.error || "Unknown error"));
+		}
+	} catch (error) {
+		console.error("Webhook test error:", error);
+		alert("Error: " + error.message);
+	} finally {
+		testWebhookBtn.disabled = false;
+	}
+}
+
+/**
+ * Show the saved selector profile of the selected mode, or the built-in one
+ */
+async function loadSelectorProfile() {
+	const mode = profileModeSelect.value;
+	const customProfile = (await getCustomProfiles())[mode];
+	const profile = customProfile || DEFAULT_SELECTOR_PROFILES[mode];
+
+	profileInput.value = JSON.stringify(profile, null, 2);
+	profileStatus.textContent = customProfile
+		? `Using custom profile: ${profile.name || "Unnamed"}`
+		: "Using built-in profile";
+}
+
+/**
+ * Parse, validate and save a selector profile for the selected mode
+ * @param {string} text - Profile JSON
+ * @returns {Promise<boolean>} True if saved
+ */
+async function saveSelectorProfile(text) {
+	const mode = profileModeSelect.value;
+	let profile;
+	try {
+		profile = JSON.parse(text);
+	} catch (error) {
+		alert("Invalid JSON: " + error.message);
+		return false;
+	}
+
+	const errors = validateSelectorProfile(profile, mode);
+	if (errors.length > 0) {
+		alert("Invalid selector profile:\n" + errors.join("\n"));
+		return false;
+	}
+
+	const profiles = await getCustomProfiles();
+	profiles[mode] = profile;
+	await chrome.storage.local.set({ selectorProfiles: profiles });
+	await loadSelectorProfile();
+	addLog('success', `Selector profile saved (${mode}): ${profile.name || "Unnamed"}`, new Date().toISOString());
+	return true;
+}
+
+/**
+ * Export the profile in the editor as a JSON file
+ */
+function handleProfileExport() {
+	saveTextFile(
+		profileInput.value,
+		`selector-profile-${profileModeSelect.value}.json`,
+		"application/json"
+	);
+}
+
+/**
+ * Save text as a file through a download link
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function saveTextFile(text, filename, type) {
+	const blob = new Blob([text], { type: type });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Turn a batch manifest into CSV, one row per prompt
+ * Settings get a column each; files and tags are joined with "; "
+ * @param {object} manifest - Manifest from background
+ * @returns {string} CSV text
+ */
+function manifestToCSV(manifest) {
+	const settingColumns = SETTING_NAMES.filter((name) =>
+		manifest.items.some((item) => item.settings[name] !== undefined)
+	);
+	const referenceColumns = manifest.items.some((item) => item.referenceImage)
+		? ["referenceImage"]
+		: [];
+	const takeColumns = manifest.items.some((item) => item.takeCount)
+		? ["take"]
+		: [];
+	const columns = [
+		"index",
+		"prompt",
+		...takeColumns,
+		"status",
+		"mode",
+		...settingColumns,
+		...referenceColumns,
+		"submittedAt",
+		"completedAt",
+		"generationMs",
+		"attempts",
+		"retries",
+		"files",
+		"paths",
+		"tags",
+		"errorType",
+		"error",
+		"alerts",
+	];
+
+	const escape = (value) => {
+		const text = value === null || value === undefined ? "" : String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	};
+	const rows = manifest.items.map((item) =>
+		columns.map((column) => {
+			if (settingColumns.includes(column)) return item.settings[column];
+			if (column === "files") {
+				return item.files.map((file) => file.filename).join("; ");
+			}
+			if (column === "paths") {
+				return item.files.map((file) => file.path || "").join("; ");
+			}
+			if (column === "tags") return item.tags.join("; ");
+			if (column === "take") {
+				return item.takeCount ? `${item.takeIndex}/${item.takeCount}` : "";
+			}
+			if (column === "alerts") {
+				return (item.alerts || []).map((alert) => alert.type).join("; ");
+			}
+			return item[column];
+		})
+	);
+
+	return [columns, ...rows]
+		.map((row) => row.map(escape).join(","))
+		.join("\r\n");
+}
+
+/**
+ * Export the manifest of the current batch
+ * @param {string} format - json or csv
+ */
+async function handleManifestExport(format) {
+	try {
+		const response = await sendToBackground({ action: "getManifest" });
+		if (!response.success) {
+			alert("Failed to export: " + (response.error || "Unknown error"));
+			return;
+		}
+
+		const manifest = response.manifest;
+		const basename = `${manifest.batchName || "batch"}-manifest`;
+		if (format === "csv") {
+			saveTextFile(manifestToCSV(manifest), `${basename}.csv`, "text/csv");
+		} else {
+			saveTextFile(
+				JSON.stringify(manifest, null, 2),
+				`${basename}.json`,
+				"application/json"
+			);
+		}
+		addLog('success', `Exported manifest of ${manifest.items.length} prompts`, new Date().toISOString());
+	} catch (error) {
+		console.error("Manifest export error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Drop the custom profile of the selected mode and use the built-in one
+ */
+async function handleProfileReset() {
+	const mode = profileModeSelect.value;
+	if (!confirm(`Reset to the built-in ${mode} selector profile?`)) return;
+
+	const profiles = await getCustomProfiles();
+	delete profiles[mode];
+	await chrome.storage.local.set({ selectorProfiles: profiles });
+	await loadSelectorProfile();
+	addLog('info', `Selector profile reset to built-in (${mode})`, new Date().toISOString());
+}
+
+/**
+ * Request current state from background
+ */
+async function requestStateUpdate() {
+	try {
+		const response = await sendToBackground({ action: "getState" });
+		if (response.state) {
+			const previousState = currentState.state;
+			currentState = response.state;
+			updateUI();
+
+			// Finished, stopped and failed batches land in history
+			const isActive = ["running", "paused"].includes(currentState.state);
+			if (previousState !== currentState.state && !isActive) {
+				loadHistory();
+			}
+		}
+	} catch (error) {
+		console.error("State update error:", error);
+	}
+}
+
+/**
+ * Load the history list from background
+ */
+async function loadHistory() {
+	try {
+		const response = await sendToBackground({
+			action: "listHistory",
+			query: historySearchInput.value,
+		});
+		if (!response.success) {
+			throw new Error(response.error || "Unknown error");
+		}
+
+		historyBatches = response.batches;
+		selectedBatchIds = selectedBatchIds.filter((id) =>
+			historyBatches.some((batch) => batch.batchId === id)
+		);
+		renderHistory();
+	} catch (error) {
+		console.error("History load error:", error);
+		addLog('error', `Failed to load history: ${error.message}`, new Date().toISOString());
+	}
+}
+
+/**
+ * Render the history list
+ */
+function renderHistory() {
+	historyContainer.querySelectorAll(".list-row").forEach((row) => row.remove());
+
+	for (const batch of historyBatches) {
+		const row = document.createElement("div");
+		row.className = "list-row";
+		if (selectedBatchIds.includes(batch.batchId)) {
+			row.classList.add("selected");
+		}
+
+		const finished = new Date(batch.finishedAt);
+		const cells = [
+			[
+				finished.toLocaleString("en-US", {
+					month: "2-digit",
+					day: "2-digit",
+					hour: "2-digit",
+					minute: "2-digit",
+					hour12: false,
+				}),
+				finished.toLocaleString(),
+			],
+			[
+				`${batch.completedCount}/${batch.totalPrompts}`,
+				`${batch.completedCount} done, ${batch.failedCount} failed, ${batch.state}`,
+			],
+			[batch.batchName, batch.batchName],
+		];
+		cells.forEach(([text, title], i) => {
+			const cell = document.createElement("div");
+			cell.className =
+				i === 1 && batch.failedCount > 0 ? "list-cell log-warn" : "list-cell";
+			cell.textContent = text;
+			cell.title = title;
+			row.appendChild(cell);
+		});
+
+		row.addEventListener("click", () => toggleBatchSelection(batch.batchId));
+		historyContainer.appendChild(row);
+	}
+
+	updateHistoryButtons();
+}
+
+/**
+ * Select or unselect a batch; selecting a third drops the oldest selection
+ * @param {string} batchId - Batch ID
+ */
+function toggleBatchSelection(batchId) {
+	if (selectedBatchIds.includes(batchId)) {
+		selectedBatchIds = selectedBatchIds.filter((id) => id !== batchId);
+	} else {
+		selectedBatchIds = [...selectedBatchIds, batchId].slice(-2);
+	}
+	renderHistory();
+}
+
+/**
+ * Enable the history actions that fit the selection
+ */
+function updateHistoryButtons() {
+	const single =
+		selectedBatchIds.length === 1
+			? historyBatches.find((batch) => batch.batchId === selectedBatchIds[0])
+			: null;
+
+	historyRerunBtn.disabled = !single;
+	historyRerunFailedBtn.disabled = !single || single.failedCount === 0;
+	historyCloneBtn.disabled = !single;
+	historyDeleteBtn.disabled = !single;
+	historyCompareBtn.disabled = selectedBatchIds.length !== 2;
+}
+
+/**
+ * Fetch an archived batch with its items
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object>} Batch
+ */
+async function getHistoryBatch(batchId) {
+	const response = await sendToBackground({
+		action: "getHistoryBatch",
+		batchId: batchId,
+	});
+	if (!response.success || !response.batch) {
+		throw new Error(response.error || "Batch not found in history");
+	}
+	return response.batch;
+}
+
+/**
+ * Run the selected batch again
+ * @param {boolean} onlyFailed - Run only its failed prompts
+ */
+async function handleHistoryRerun(onlyFailed) {
+	try {
+		const response = await sendToBackground({
+			action: "rerunHistoryBatch",
+			batchId: selectedBatchIds[0],
+			onlyFailed: onlyFailed,
+		});
+
+		if (!response.success) {
+			alert("Failed to re-run: " + (response.error || "Unknown error"));
+		}
+	} catch (error) {
+		console.error("Re-run error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Copy the selected batch's prompts and settings into the editor
+ */
+async function handleHistoryClone() {
+	try {
+		const batch = await getHistoryBatch(selectedBatchIds[0]);
+
+		// Same path as a loaded file: per-prompt settings stay in loadedItems.
+		// Takes of a prompt become one line with its takes count again.
+		loadedItems = batch.items
+			.filter((item) => (item.takeIndex || item.repeatIndex || 1) === 1)
+			.map((item) => ({
+				prompt: item.prompt,
+				...item.options,
+				takes: item.takeCount || item.repeatCount || 1,
+			}));
+		promptInput.value = loadedItems.map((item) => item.prompt).join("\n");
+		loadedItemsText = promptInput.value;
+		loadedErrorRows = 0;
+		renderImportReport([], []);
+
+		for (const [name, input] of Object.entries(settingInputs)) {
+			input.value = batch.settings[name] !== undefined ? batch.settings[name] : "";
+		}
+		modeSelect.value = batch.mode;
+		takesInput.value = batch.takes || 1;
+		filenamePatternInput.value = batch.filenamePattern;
+		updateTemplatePreview();
+
+		addLog('success', `Cloned ${loadedItems.length} prompts from ${batch.batchName}`, new Date().toISOString());
+	} catch (error) {
+		console.error("Clone error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Delete the selected batch from history
+ */
+async function handleHistoryDelete() {
+	const batch = historyBatches.find((entry) => entry.batchId === selectedBatchIds[0]);
+	if (!batch || !confirm(`Delete ${batch.batchName} from history?`)) return;
+
+	try {
+		await sendToBackground({ action: "deleteHistoryBatch", batchId: batch.batchId });
+		selectedBatchIds = [];
+		await loadHistory();
+	} catch (error) {
+		console.error("Delete error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+/**
+ * Compare two archived batches prompt by prompt
+ * Prompts are matched on their text and take number
+ * @param {object} older - Older batch
+ * @param {object} newer - Newer batch
+ * @returns {object[]} { change, status, prompt } rows
+ */
+function diffBatches(older, newer) {
+	const keyOf = (item) => `${item.prompt}#${item.takeIndex || item.repeatIndex || 1}`;
+	const olderItems = new Map(older.items.map((item) => [keyOf(item), item]));
+	const newerKeys = new Set(newer.items.map(keyOf));
+	const rows = [];
+
+	for (const item of newer.items) {
+		const before = olderItems.get(keyOf(item));
+		if (!before) {
+			rows.push({ change: "added", status: item.status, prompt: item.prompt });
+		} else if (before.status !== item.status) {
+			rows.push({
+				change: "status",
+				status: `${before.status} → ${item.status}`,
+				prompt: item.prompt,
+			});
+		} else if (JSON.stringify(before.settings) !== JSON.stringify(item.settings)) {
+			rows.push({ change: "settings", status: item.status, prompt: item.prompt });
+		}
+	}
+	for (const item of older.items) {
+		if (!newerKeys.has(keyOf(item))) {
+			rows.push({ change: "removed", status: item.status, prompt: item.prompt });
+		}
+	}
+	return rows;
+}
+
+/**
+ * Show the differences between the two selected batches
+ */
+async function handleHistoryCompare() {
+	try {
+		const batches = await Promise.all(selectedBatchIds.map(getHistoryBatch));
+		const [older, newer] = batches.sort((a, b) =>
+			String(a.finishedAt).localeCompare(String(b.finishedAt))
+		);
+		const rows = diffBatches(older, newer);
+
+		const done = (batch) =>
+			batch.items.filter((item) => ["downloaded", "generated"].includes(item.status)).length;
+		historyDiffSummary.textContent =
+			`${older.batchName}: ${done(older)}/${older.items.length} done → ` +
+			`${newer.batchName}: ${done(newer)}/${newer.items.length} done, ` +
+			`${rows.length} difference(s)`;
+		historyDiffSummary.style.display = "";
+
+		historyDiff.querySelectorAll(".list-row").forEach((row) => row.remove());
+		historyDiff.style.display = rows.length > 0 ? "" : "none";
+		for (const entry of rows) {
+			const row = document.createElement("div");
+			row.className = "list-row";
+			[entry.change, entry.status, entry.prompt].forEach((text, i) => {
+				const cell = document.createElement("div");
+				cell.className = "list-cell";
+				if (i === 0 && entry.change === "removed") cell.className += " log-error";
+				if (i === 0 && entry.change === "added") cell.className += " log-ok";
+				cell.textContent = text;
+				cell.title = text;
+				row.appendChild(cell);
+			});
+			historyDiff.appendChild(row);
+		}
+	} catch (error) {
+		console.error("Compare error:", error);
+		alert("Error: " + error.message);
+	}
+}
+
+// Event Listeners
+
+// Browse button - trigger file input
+browseBtn.addEventListener("click", () => {
+	console.log('Browse button clicked');
+	txtInput.click();
+});
+
+// TXT file selection
+txtInput.addEventListener("change", async (e) => {
+	console.log('File input changed', e.target.files);
+	const file = e.target.files[0];
+
+	if (file) {
+		try {
+			console.log('Loading file:', file.name);
+			filePath.value = `Loading ${file.name}...`;
+			const { items, errors, warnings } = await parsePromptFile(file);
+			console.log('Parsed prompts:', items.length);
+
+			if (/\.txt$/i.test(file.name)) {
+				// Plain text goes into the box as-is so comments and templates
+				// stay editable
+				promptInput.value = await file.text();
+				loadedItems = null;
+			} else {
+				// Show the prompts in the box; per-prompt settings stay in loadedItems
+				promptInput.value = items.map((item) => item.prompt).join("\n");
+				loadedItems = items;
+				loadedItemsText = promptInput.value;
+			}
+			updateTemplatePreview();
+			filePath.value = file.name;
+			filePath.title = `Loaded ${items.length} prompts from ${file.name}`;
+			renderImportReport(errors, warnings);
+
+			// Add success log
+			addLog('success', `Loaded ${items.length} prompts from ${file.name}`, new Date().toISOString());
+			loadedErrorRows = new Set(errors.map((entry) => entry.row)).size;
+			if (loadedErrorRows > 0) {
+				addLog('warning', `${loadedErrorRows} invalid row(s) skipped, see report`, new Date().toISOString());
+			}
+		} catch (error) {
+			console.error("Prompt file parse error:", error);
+			filePath.value = "Error loading file";
+			filePath.title = error.message;
+			alert("Failed to parse file: " + error.message);
+			addLog('error', `Failed to load file: ${error.message}`, new Date().toISOString());
+		}
+	} else {
+		console.log('No file selected');
+		filePath.value = "";
+		filePath.placeholder = "No file selected";
+	}
+});
+
+// Selector profile editor
+profileSaveBtn.addEventListener("click", () => saveSelectorProfile(profileInput.value));
+profileResetBtn.addEventListener("click", handleProfileReset);
+profileExportBtn.addEventListener("click", handleProfileExport);
+profileImportBtn.addEventListener("click", () => profileFileInput.click());
+profileModeSelect.addEventListener("change", loadSelectorProfile);
+imageFileInput.addEventListener("change", async (e) => {
+	await handleAddImages([...e.target.files]);
+	imageFileInput.value = "";
+});
+
+profileFileInput.addEventListener("change", async (e) => {
+	const file = e.target.files[0];
+	if (!file) return;
+
+	const text = await file.text();
+	if (await saveSelectorProfile(text)) {
+		addLog('success', `Imported selector profile from ${file.name}`, new Date().toISOString());
+	}
+	profileFileInput.value = "";
+});
+
+// Editing the prompt box by hand drops the settings loaded from a file
+promptInput.addEventListener("input", () => {
+	if (loadedItems && promptInput.value !== loadedItemsText) {
+		loadedItems = null;
+		renderImportReport([], []);
+		addLog('warning', 'Prompts edited, per-prompt settings from file cleared', new Date().toISOString());
+	}
+	updateTemplatePreview();
+});
+
+// Template expansion settings
+templateModeSelect.addEventListener("change", updateTemplatePreview);
+sampleInput.addEventListener("input", updateTemplatePreview);
+seedInput.addEventListener("input", updateTemplatePreview);
+takesInput.addEventListener("input", updateTemplatePreview);
+
+// Control buttons
+startBtn.addEventListener("click", handleStart);
+pauseBtn.addEventListener("click", handlePause);
+stopBtn.addEventListener("click", handleStop);
+continueBtn.addEventListener("click", handleContinue);
+requeueFailedBtn.addEventListener("click", handleRequeueFailed);
+queueSkipBtn.addEventListener("click", () =>
+	sendQueueAction({ action: "skipQueueItem", itemId: selectedQueueItemId })
+);
+queueEditBtn.addEventListener("click", handleQueueEdit);
+queueJumpBtn.addEventListener("click", handleQueueJump);
+queueJumpInput.addEventListener("input", updateQueueButtons);
+queueInsertBtn.addEventListener("click", handleQueueInsert);
+queueInsertInput.addEventListener("input", updateQueueButtons);
+exportJsonBtn.addEventListener("click", () => handleManifestExport("json"));
+addWorkerBtn.addEventListener("click", handleAddWorker);
+addImagesBtn.addEventListener("click", () => imageFileInput.click());
+removeImageBtn.addEventListener("click", handleRemoveImage);
+removeWorkerBtn.addEventListener("click", handleRemoveWorker);
+
+// Schedule
+startAtInput.addEventListener("input", renderScheduleStatus);
+scheduleWindowsInput.addEventListener("input", renderScheduleStatus);
+applyScheduleBtn.addEventListener("click", handleApplySchedule);
+
+// Credits
+checkCreditsBtn.addEventListener("click", () => handleCheckCredits());
+creditCostInput.addEventListener("input", renderCreditEstimate);
+creditBudgetInput.addEventListener("input", renderCreditEstimate);
+modeSelect.addEventListener("change", renderCreditEstimate);
+
+// Notifications
+Object.values(notificationCheckboxes).forEach((checkbox) =>
+	checkbox.addEventListener("change", saveNotificationSettings)
+);
+
+// Webhooks
+saveWebhooksBtn.addEventListener("click", handleSaveWebhooks);
+testWebhookBtn.addEventListener("click", handleTestWebhook);
+historyRefreshBtn.addEventListener("click", loadHistory);
+historySearchInput.addEventListener("input", loadHistory);
+historyRerunBtn.addEventListener("click", () => handleHistoryRerun(false));
+historyRerunFailedBtn.addEventListener("click", () => handleHistoryRerun(true));
+historyCloneBtn.addEventListener("click", handleHistoryClone);
+historyCompareBtn.addEventListener("click", handleHistoryCompare);
+historyDeleteBtn.addEventListener("click", handleHistoryDelete);
+exportCsvBtn.addEventListener("click", () => handleManifestExport("csv"));
 
 console.log('Event listeners attached:', {
 	browseBtn: 'click',
 	txtInput: 'change',
 	startBtn: 'click',
 	pauseBtn: 'click',
-	stopBtn: 'click'
+	stopBtn: 'click',
+	requeueFailedBtn: 'click'
 });
 
 // Listen for state updates and logs from background
@@ -373,6 +2246,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Initialize - request current state
 requestStateUpdate();
+loadSelectorProfile();
+updateTemplatePreview();
+loadHistory();
+loadReferenceImages();
+loadNotificationSettings();
+loadWebhookSettings();
+handleCheckCredits(true);
 
 // Poll for state updates (backup in case messages are missed)
 setInterval(requestStateUpdate, 1000);
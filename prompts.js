@@ -0,0 +1,554 @@
+// Prompt file parsing, validation and templating
+// Loaded before popup.js; turns the prompt box and TXT, CSV, JSON and JSONL
+// files into prompt items ({ prompt, ...per-prompt settings }) that the
+// background queue runs
+
+/**
+ * Per-prompt fields a structured file may carry, besides "prompt"
+ * Keys are the item fields; values list the column/property names accepted
+ * for them (compared case-insensitively, ignoring spaces, "-" and "_")
+ */
+const PROMPT_ITEM_FIELDS = {
+	prompt: ["prompt", "text"],
+	filename: ["filename", "file", "output", "outputfilename", "name"],
+	aspectRatio: ["aspectratio", "aspect", "ratio"],
+	resolution: ["resolution", "quality"],
+	duration: ["duration", "length", "seconds"],
+	cameraAngle: ["cameraangle", "angle", "shot"],
+	cameraMotion: ["cameramotion", "motion", "camera"],
+	style: ["style", "stylepreset"],
+	seed: ["seed"],
+	referenceImage: ["referenceimage", "reference", "image", "firstframe"],
+	takes: ["takes", "take", "repeat", "repeatcount", "count"],
+	tags: ["tags", "tag"],
+};
+
+// Most takes (generations) of one prompt
+const MAX_TAKES = 100;
+
+// Characters that are not allowed in an output filename
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|]/;
+
+/**
+ * Map a column/property name to its item field
+ * @param {string} key - Name from the file
+ * @returns {string|null} Item field, or null if unknown
+ */
+function resolvePromptField(key) {
+	const normalized = String(key)
+		.toLowerCase()
+		.replace(/[\s_-]/g, "");
+
+	for (const [field, aliases] of Object.entries(PROMPT_ITEM_FIELDS)) {
+		if (aliases.includes(normalized)) return field;
+	}
+	return null;
+}
+
+/**
+ * Validate one row and turn it into a prompt item
+ * @param {string|object} raw - Prompt string, or object of fields
+ * @returns {{ item: object|null, errors: string[], warnings: string[] }}
+ *   The item is null when the row has errors
+ */
+function normalizePromptItem(raw) {
+	const errors = [];
+	const warnings = [];
+	const fields = {};
+
+	if (typeof raw === "string") {
+		fields.prompt = raw;
+	} else if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+		for (const [key, value] of Object.entries(raw)) {
+			const field = resolvePromptField(key);
+			if (!field) {
+				warnings.push(`Unknown field "${key}" ignored`);
+			} else if (value !== undefined && value !== null && value !== "") {
+				fields[field] = value;
+			}
+		}
+	} else {
+		return { item: null, errors: ["Row must be a string or an object"], warnings };
+	}
+
+	const item = {};
+
+	// prompt (required)
+	if (typeof fields.prompt !== "string" || !fields.prompt.trim()) {
+		errors.push("Missing prompt");
+	} else {
+		item.prompt = fields.prompt.trim();
+	}
+
+	// filename
+	if (fields.filename !== undefined) {
+		const filename = String(fields.filename).trim();
+		if (INVALID_FILENAME_CHARS.test(filename)) {
+			errors.push(`Filename "${filename}" contains invalid characters`);
+		} else {
+			item.filename = filename;
+		}
+	}
+
+	// aspectRatio, e.g. 16:9
+	if (fields.aspectRatio !== undefined) {
+		const aspectRatio = String(fields.aspectRatio).trim();
+		if (!/^\d+:\d+$/.test(aspectRatio)) {
+			errors.push(`Aspect ratio "${aspectRatio}" must look like 16:9`);
+		} else {
+			item.aspectRatio = aspectRatio;
+		}
+	}
+
+	// resolution, e.g. 1080p
+	if (fields.resolution !== undefined) {
+		item.resolution = String(fields.resolution).trim();
+	}
+
+	// camera angle and motion presets
+	if (fields.cameraAngle !== undefined) {
+		item.cameraAngle = String(fields.cameraAngle).trim();
+	}
+	if (fields.cameraMotion !== undefined) {
+		item.cameraMotion = String(fields.cameraMotion).trim();
+	}
+
+	// duration in seconds
+	if (fields.duration !== undefined) {
+		const duration = Number(fields.duration);
+		if (!Number.isFinite(duration) || duration <= 0) {
+			errors.push(`Duration "${fields.duration}" must be a positive number`);
+		} else {
+			item.duration = duration;
+		}
+	}
+
+	// style preset name
+	if (fields.style !== undefined) {
+		item.style = String(fields.style).trim();
+	}
+
+	// seed
+	if (fields.seed !== undefined) {
+		const seed = Number(fields.seed);
+		if (!Number.isInteger(seed) || seed < 0) {
+			errors.push(`Seed "${fields.seed}" must be a whole number`);
+		} else {
+			item.seed = seed;
+		}
+	}
+
+	// reference image file name
+	if (fields.referenceImage !== undefined) {
+		item.referenceImage = String(fields.referenceImage).trim();
+	}
+
+	// takes: generations of the prompt, overrides the batch's count
+	if (fields.takes !== undefined) {
+		const takes = Number(fields.takes);
+		if (!Number.isInteger(takes) || takes < 1 || takes > MAX_TAKES) {
+			errors.push(`Takes "${fields.takes}" must be between 1 and ${MAX_TAKES}`);
+		} else {
+			item.takes = takes;
+		}
+	}
+
+	// tags: array, or a string separated by ";" "|" or ","
+	if (fields.tags !== undefined) {
+		const tags = Array.isArray(fields.tags)
+			? fields.tags
+			: String(fields.tags).split(/[;|,]/);
+		item.tags = tags.map((tag) => String(tag).trim()).filter(Boolean);
+	}
+
+	return { item: errors.length > 0 ? null : item, errors, warnings };
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * commas, newlines and doubled quotes)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows with their line number as `line` property
+ */
+function parseCSVRows(text) {
+	const rows = [];
+	let row = [];
+	let cell = "";
+	let inQuotes = false;
+	let line = 1;
+	let rowLine = 1;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				if (char === "\n") line++;
+				cell += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ",") {
+			row.push(cell);
+			cell = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			row.push(cell);
+			row.line = rowLine;
+			rows.push(row);
+			row = [];
+			cell = "";
+			line++;
+			rowLine = line;
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== "" || row.length > 0) {
+		row.push(cell);
+		row.line = rowLine;
+		rows.push(row);
+	}
+
+	// Drop blank lines
+	return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Validate a list of raw rows into items plus a report of bad rows
+ * @param {{ raw: any, row: number }[]} rows - Raw rows with their row number
+ * @returns {{ items: object[], errors: object[], warnings: object[] }}
+ *   Errors/warnings are { row, message }; rows with errors are left out
+ */
+function validatePromptRows(rows) {
+	const items = [];
+	const errors = [];
+	const warnings = [];
+
+	for (const { raw, row } of rows) {
+		const result = normalizePromptItem(raw);
+		result.errors.forEach((message) => errors.push({ row, message }));
+		result.warnings.forEach((message) => warnings.push({ row, message }));
+		if (result.item) items.push(result.item);
+	}
+
+	return { items, errors, warnings };
+}
+
+// ---------------------------------------------------------------------------
+// Templating
+// In the prompt box (and TXT files):
+//   # comment                  ignored
+//   line ending with \         continues on the next line
+//   @subject = cat | dog       defines a variable
+//   {subject} at {dawn|dusk}   placeholders: a variable, or inline values
+// Each prompt line expands over the values of the placeholders it uses.
+// ---------------------------------------------------------------------------
+
+// Refuse templates that would queue more prompts than this
+const MAX_TEMPLATE_EXPANSION = 10000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+function createRandom(seed) {
+	let a = seed >>> 0;
+	return () => {
+		a = (a + 0x6d2b79f5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Strip comments, join continued lines and collect variable definitions
+ * @param {string} text - Prompt box contents
+ * @returns {{ lines: object[], variables: object, errors: object[] }}
+ *   lines are { text, row } with row the 1-based line where they start
+ */
+function preprocessPromptText(text) {
+	const lines = [];
+	const variables = {};
+	const errors = [];
+	let pending = null;
+
+	text.split(/\r?\n/).forEach((rawLine, i) => {
+		let line = rawLine.trim();
+
+		// Comments only count at the start of a logical line
+		if (!pending && line.startsWith("#")) return;
+
+		const continues = line.endsWith("\\");
+		if (continues) line = line.slice(0, -1).trim();
+
+		pending = pending
+			? { text: `${pending.text} ${line}`.trim(), row: pending.row }
+			: { text: line, row: i + 1 };
+		if (continues) return;
+
+		const definition = pending.text.match(/^@([\w-]+)\s*=\s*(.*)$/);
+		if (definition) {
+			const values = definition[2]
+				.split("|")
+				.map((value) => value.trim())
+				.filter(Boolean);
+			if (values.length === 0) {
+				errors.push({ row: pending.row, message: `Variable @${definition[1]} has no values` });
+			} else {
+				variables[definition[1]] = values;
+			}
+		} else if (pending.text) {
+			lines.push(pending);
+		}
+		pending = null;
+	});
+
+	if (pending && pending.text) lines.push(pending);
+	return { lines, variables, errors };
+}
+
+/**
+ * Expand the placeholders of one prompt line
+ * @param {string} line - Prompt line
+ * @param {object} variables - Variable values by name
+ * @param {object} options - { mode: cartesian|zip|random, sample, seed }
+ * @returns {{ prompts: string[], error: string|null }}
+ */
+function expandTemplateLine(line, variables, options) {
+	// Placeholders in order of first appearance: {name} or {a|b|c}. Slots
+	// are keyed without spaces, so {a} and { a } share one value per prompt
+	const slotKey = (token) =>
+		token
+			.split("|")
+			.map((value) => value.trim())
+			.join("|");
+	const slots = [];
+	const slotByToken = new Map();
+	for (const match of line.matchAll(/\{([^{}]+)\}/g)) {
+		const token = match[1];
+		const key = slotKey(token);
+		if (slotByToken.has(key)) continue;
+
+		const values = token.includes("|") ? key.split("|") : variables[key];
+		if (!values) {
+			return { prompts: [], error: `Undefined variable {${token}}` };
+		}
+		slotByToken.set(key, slots.length);
+		slots.push({ token, values });
+	}
+
+	if (slots.length === 0) {
+		return { prompts: [line], error: null };
+	}
+
+	const fill = (choice) =>
+		line.replace(/\{([^{}]+)\}/g, (_, token) => {
+			const index = slotByToken.get(slotKey(token));
+			return slots[index].values[choice[index]];
+		});
+
+	// zip: the n-th value of every placeholder together
+	if (options.mode === "zip") {
+		const length = Math.min(...slots.map((slot) => slot.values.length));
+		return {
+			prompts: Array.from({ length }, (_, i) => fill(slots.map(() => i))),
+			error: null,
+		};
+	}
+
+	// Combinations are numbered in mixed radix so random sampling never has
+	// to enumerate the whole product
+	const total = slots.reduce((product, slot) => product * slot.values.length, 1);
+	const decode = (number) =>
+		slots
+			.slice()
+			.reverse()
+			.map((slot) => {
+				const digit = number % slot.values.length;
+				number = Math.floor(number / slot.values.length);
+				return digit;
+			})
+			.reverse();
+
+	if (options.mode === "random") {
+		const count = Math.min(options.sample, total);
+		if (count > MAX_TEMPLATE_EXPANSION) {
+			return {
+				prompts: [],
+				error: `Expands to ${count} prompts (limit ${MAX_TEMPLATE_EXPANSION})`,
+			};
+		}
+		const random = createRandom(options.seed);
+		const picked = new Set();
+		while (picked.size < count) {
+			picked.add(Math.floor(random() * total));
+		}
+		return { prompts: Array.from(picked, (number) => fill(decode(number))), error: null };
+	}
+
+	if (total > MAX_TEMPLATE_EXPANSION) {
+		return {
+			prompts: [],
+			error: `Expands to ${total} prompts (limit ${MAX_TEMPLATE_EXPANSION})`,
+		};
+	}
+	return {
+		prompts: Array.from({ length: total }, (_, number) => fill(decode(number))),
+		error: null,
+	};
+}
+
+/**
+ * Parse TXT / prompt box - one prompt per line, with templating
+ * @param {string} text - File or prompt box contents
+ * @param {object} options - Template expansion { mode, sample, seed };
+ *   defaults to the cartesian product
+ * @returns {{ items: object[], errors: object[], warnings: object[] }}
+ */
+function parseTXT(text, options = {}) {
+	const expansion = {
+		mode: options.mode || "cartesian",
+		sample: Math.min(
+			Math.max(1, parseInt(options.sample) || 1),
+			MAX_TEMPLATE_EXPANSION
+		),
+		seed: parseInt(options.seed) || 0,
+	};
+	const { lines, variables, errors } = preprocessPromptText(text);
+	const rows = [];
+
+	for (const { text: line, row } of lines) {
+		const result = expandTemplateLine(line, variables, expansion);
+		if (result.error) {
+			errors.push({ row, message: result.error });
+		}
+		result.prompts.forEach((prompt) => rows.push({ raw: prompt, row }));
+	}
+
+	const result = validatePromptRows(rows);
+	result.errors = errors.concat(result.errors).sort((a, b) => a.row - b.row);
+	if (result.items.length > MAX_TEMPLATE_EXPANSION) {
+		result.errors.push({
+			row: 1,
+			message: `Expands to ${result.items.length} prompts (limit ${MAX_TEMPLATE_EXPANSION})`,
+		});
+		result.items = [];
+	}
+	return result;
+}
+
+/**
+ * Parse CSV - header row with a "prompt" column plus optional settings
+ * @param {string} text - File contents
+ * @returns {{ items: object[], errors: object[], warnings: object[] }}
+ */
+function parseCSV(text) {
+	const [header, ...body] = parseCSVRows(text);
+	if (!header) {
+		return { items: [], errors: [{ row: 1, message: "File is empty" }], warnings: [] };
+	}
+
+	const columns = header.map((name) => name.trim());
+	if (!columns.some((name) => resolvePromptField(name) === "prompt")) {
+		return {
+			items: [],
+			errors: [{ row: 1, message: 'Header row needs a "prompt" column' }],
+			warnings: [],
+		};
+	}
+
+	const rows = body.map((cells) => {
+		const raw = {};
+		columns.forEach((name, i) => {
+			if (cells[i] !== undefined) raw[name] = cells[i].trim();
+		});
+		return { raw, row: cells.line };
+	});
+
+	// Report unknown columns once, not on every row
+	const result = validatePromptRows(rows);
+	result.warnings = columns
+		.filter((name) => !resolvePromptField(name))
+		.map((name) => ({ row: 1, message: `Unknown column "${name}" ignored` }));
+	return result;
+}
+
+/**
+ * Parse JSON - an array of prompt strings/objects, or { items: [...] }
+ * @param {string} text - File contents
+ * @returns {{ items: object[], errors: object[], warnings: object[] }}
+ */
+function parseJSON(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		return { items: [], errors: [{ row: 1, message: `Invalid JSON: ${error.message}` }], warnings: [] };
+	}
+
+	const list = Array.isArray(data) ? data : data && data.items;
+	if (!Array.isArray(list)) {
+		return {
+			items: [],
+			errors: [{ row: 1, message: 'Expected an array or an object with "items"' }],
+			warnings: [],
+		};
+	}
+
+	return validatePromptRows(list.map((raw, i) => ({ raw, row: i + 1 })));
+}
+
+/**
+ * Parse JSONL - one prompt string/object per line
+ * @param {string} text - File contents
+ * @returns {{ items: object[], errors: object[], warnings: object[] }}
+ */
+function parseJSONL(text) {
+	const rows = [];
+	const parseErrors = [];
+
+	text.split(/\r?\n/).forEach((line, i) => {
+		if (!line.trim()) return;
+		try {
+			rows.push({ raw: JSON.parse(line), row: i + 1 });
+		} catch (error) {
+			parseErrors.push({ row: i + 1, message: `Invalid JSON: ${error.message}` });
+		}
+	});
+
+	const result = validatePromptRows(rows);
+	result.errors = parseErrors.concat(result.errors).sort((a, b) => a.row - b.row);
+	return result;
+}
+
+/**
+ * Parse a prompt file, picking the format from its extension
+ * @param {File} file - TXT, CSV, JSON or JSONL file
+ * @returns {Promise<{ items: object[], errors: object[], warnings: object[] }>}
+ */
+async function parsePromptFile(file) {
+	const text = await file.text();
+	const extension = file.name.split(".").pop().toLowerCase();
+
+	switch (extension) {
+		case "csv":
+			return parseCSV(text);
+		case "json":
+			return parseJSON(text);
+		case "jsonl":
+		case "ndjson":
+			return parseJSONL(text);
+		default:
+			return parseTXT(text);
+	}
+}